@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+
+const diagnostics = powerDiagnosticsHelper.channel('cache');
+
+const MANIFEST_VERSION = 1;
+
+// taffy bookkeeping, different on every run for the same doclet
+const IGNORED_KEYS = ['___id', '___s'];
+
+module.exports = {
+  MANIFEST_VERSION,
+  fingerprint,
+  open
+};
+
+/**
+ * Hash the given values. Objects are serialized with sorted keys, so the same doclets give the same
+ * fingerprint from one run to the next.
+ * @param {...*} values The inputs of an output file.
+ * @return {string} The fingerprint.
+ */
+function fingerprint(...values) {
+  let hash = crypto.createHash('sha1');
+  values.forEach(value => hash.update(serialize(value, [])).update('\u0000'));
+  return hash.digest('hex');
+}
+
+/**
+ * Open the cache manifest of the destination. Every output file written during the run is recorded
+ * with the fingerprint of its inputs; entries that are not recorded again are dropped on `save`.
+ * @param {string} manifestPath The path of the manifest.
+ * @param {string} salt The fingerprint of what every output depends on: templates, settings, nav, ...
+ * @return {object} The `isFresh`, `record`, `save` and `stats` functions of the cache.
+ */
+function open(manifestPath, salt) {
+  let previous = readManifest(manifestPath, salt);
+  let current = {};
+  let stats = {skipped: 0, written: 0};
+
+  return {
+    // whether `outputPath` exists and was built from the same inputs, counted as skipped when it is
+    isFresh: (outputPath, hash) => {
+      let key = toKey(manifestPath, outputPath);
+      let fresh = previous[key] === hash && fs.existsSync(outputPath);
+
+      if (fresh) {
+        current[key] = hash;
+        stats.skipped++;
+      }
+      return fresh;
+    },
+    record: (outputPath, hash) => {
+      current[toKey(manifestPath, outputPath)] = hash;
+      stats.written++;
+    },
+    save: () => {
+      let manifest = {manifestVersion: MANIFEST_VERSION, salt, files: sortKeys(current)};
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+    },
+    stats: () => Object.assign({}, stats)
+  };
+}
+
+function readManifest(manifestPath, salt) {
+  let manifest;
+
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (e) {
+    diagnostics.debug('No usable cache manifest at %s, every file is rebuilt', manifestPath);
+    return {};
+  }
+
+  if (manifest.manifestVersion !== MANIFEST_VERSION || manifest.salt !== salt) {
+    diagnostics.debug('The templates, the settings or the symbols changed, every file is rebuilt');
+    return {};
+  }
+  return manifest.files || {};
+}
+
+// stable JSON: sorted keys, no functions, cycles cut
+function serialize(value, ancestors) {
+  if (value === undefined || typeof value === 'function') {
+    return 'null';
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (ancestors.indexOf(value) > -1) {
+    return '"[circular]"';
+  }
+
+  let nested = ancestors.concat([value]);
+
+  if (Array.isArray(value)) {
+    return '[' + value.map(item => serialize(item, nested)).join(',') + ']';
+  }
+  return '{' + Object.keys(value)
+    .filter(key => IGNORED_KEYS.indexOf(key) === -1 && value[key] !== undefined)
+    .sort()
+    .map(key => JSON.stringify(key) + ':' + serialize(value[key], nested))
+    .join(',') + '}';
+}
+
+function sortKeys(object) {
+  return Object.keys(object).sort().reduce((sorted, key) => {
+    sorted[key] = object[key];
+    return sorted;
+  }, {});
+}
+
+// output paths relative to the manifest, so the destination can be moved
+function toKey(manifestPath, outputPath) {
+  return path.relative(path.dirname(manifestPath), outputPath).split(path.sep).join('/');
+}
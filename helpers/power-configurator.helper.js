@@ -1,34 +1,566 @@
 /* global env: true */
 
+const os = require('os');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+const powerOutputHelper = require('./power-output.helper');
+const powerStylesHelper = require('./power-styles.helper');
+const util = require('util');
+
+const diagnostics = powerDiagnosticsHelper.channel('configurator');
+
+const NAV_SECTIONS = {
+  classes   : 'Classes',
+  modules   : 'Modules',
+  externals : 'Externals',
+  events    : 'Events',
+  namespaces: 'Namespaces',
+  mixins    : 'Mixins',
+  tutorials : 'Tutorials',
+  interfaces: 'Interfaces',
+  global    : 'Global'
+};
+
+// a token value lands in a declaration of styles/tokens.css, it cannot end it
+const STYLE_TOKENS = {
+  type: 'object',
+  properties: powerStylesHelper.TOKENS.reduce((properties, token) => {
+    properties[token] = {
+      type: 'string',
+      check: (value, path) => /[;{}<>]/.test(value) ? [util.format('%s must be a single CSS value, got %s', path, JSON.stringify(value))] : []
+    };
+    return properties;
+  }, {})
+};
+
+// the file or directory of an output: `true` for its default name, a path inside the destination, or `false`
+const OUTPUT_PATH = {
+  type: ['boolean', 'string'],
+  check: (value, path) => typeof value === 'string' ? pathErrors(value, path) : []
+};
+
+const SORT_STRATEGIES = ['alphabetical', 'custom', 'kind', 'longname', 'none', 'since', 'source'];
+
+const schema = {
+  type: 'object',
+  properties: {
+    cache: Object.assign({default: false}, OUTPUT_PATH),
+    coverage: {
+      type: 'object',
+      properties: {
+        enabled: {type: 'boolean', default: false},
+        json: Object.assign({default: true}, OUTPUT_PATH),
+        minimum: {
+          type: 'number',
+          minimum: 0,
+          check: (value, path) => value > 100 ? [util.format('%s is a percentage, at most 100, got %d', path, value)] : []
+        }
+      }
+    },
+    diagrams: {
+      type: 'object',
+      properties: {
+        events: {type: 'boolean', default: true},
+        inheritance: {type: 'boolean', default: true},
+        modules: {type: 'boolean', default: true}
+      }
+    },
+    diagnostics: {
+      type: 'object',
+      properties: {
+        report: Object.assign({default: false}, OUTPUT_PATH)
+      }
+    },
+    displayStaticMembers: {type: 'boolean', default: false},
+    footer: {
+      type: 'object',
+      properties: {
+        commit: {type: 'boolean', default: false},
+        content: {type: 'string'},
+        date: {
+          type: ['boolean', 'string'],
+          default: true,
+          variants: {
+            string: {enum: ['iso', 'locale']}
+          }
+        },
+        generator: {type: 'boolean', default: true},
+        links: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              text: {type: 'string'},
+              url: {type: 'string'}
+            },
+            check: (value, path) => ['text', 'url']
+              .filter(key => !value[key])
+              .map(key => util.format('%s.%s is required', path, key))
+              .concat(isScriptUrl(value.url) ? [util.format('%s.url must not run a script, got %s', path, JSON.stringify(value.url))] : [])
+          },
+          default: []
+        },
+        locale: {
+          type: 'string',
+          check: (value, path) => isLocale(value) ? [] : [util.format('%s must be a BCP 47 language tag, got %s', path, JSON.stringify(value))]
+        },
+        version: {type: ['boolean', 'string'], default: true}
+      }
+    },
+    links: {
+      type: 'object',
+      properties: {
+        check: {type: 'boolean', default: true},
+        ignore: {type: 'array', items: {type: 'string'}, default: []},
+        strict: {type: 'boolean', default: false}
+      }
+    },
+    nav: {
+      type: 'object',
+      properties: {
+        display: {
+          type: 'object',
+          properties: {
+            events: {type: 'boolean', default: false},
+            inner: {type: 'boolean', default: false},
+            instance: {type: 'boolean', default: false},
+            methods: {type: 'boolean', default: true},
+            static: {type: 'boolean'},
+            typedefs: {type: 'boolean', default: false}
+          }
+        },
+        limit: {type: 'number', minimum: 0, default: 0},
+        order: {
+          type: 'array',
+          items: {type: 'string', enum: Object.keys(NAV_SECTIONS)},
+          default: Object.keys(NAV_SECTIONS),
+          check: (value, path) => value
+            .filter((id, i) => value.indexOf(id) !== i)
+            .map(id => util.format('%s lists "%s" more than once', path, id))
+        },
+        sections: {
+          type: 'object',
+          properties: Object.keys(NAV_SECTIONS).reduce((properties, id) => {
+            properties[id] = {
+              type: 'object',
+              properties: {
+                collapsed: {type: 'boolean', default: false},
+                heading: {type: 'string', default: NAV_SECTIONS[id]},
+                hidden: {type: 'boolean', default: false},
+                limit: {type: 'number', minimum: 0}
+              }
+            };
+            return properties;
+          }, {})
+        }
+      }
+    },
+    output: {
+      type: 'object',
+      properties: {
+        latest: {
+          type: ['boolean', 'string'],
+          default: false,
+          variants: {
+            string: {enum: ['copy', 'symlink']}
+          }
+        },
+        layout: {
+          type: 'string',
+          default: '{name}/{version}',
+          check: (value, path) => layoutErrors(value, path)
+        }
+      },
+      check: (value, path) => value.latest && !powerOutputHelper.aliasPath(value.layout || '{name}/{version}')
+        ? [util.format('%s.latest needs a layout with {version} or {major}, got "%s"', path, value.layout)]
+        : []
+    },
+    outputs: {
+      type: 'object',
+      properties: {
+        json: Object.assign({default: false}, OUTPUT_PATH),
+        markdown: Object.assign({default: false}, OUTPUT_PATH),
+        typescript: Object.assign({default: false}, OUTPUT_PATH)
+      }
+    },
+    parallel: {
+      type: ['boolean', 'number'],
+      default: false,
+      minimum: 1,
+      check: (value, path) => typeof value === 'number' && value % 1 ? [util.format('%s must be a whole number of workers, got %d', path, value)] : []
+    },
+    plugins: {type: 'array', items: {type: 'string'}, default: []},
+    reproducible: {
+      type: ['boolean', 'string'],
+      default: false,
+      variants: {
+        string: {enum: ['check']}
+      }
+    },
+    search: {
+      type: 'object',
+      properties: {
+        enabled: {type: 'boolean', default: true},
+        fullText: {
+          type: 'object',
+          properties: {
+            enabled: {type: 'boolean', default: true},
+            weights: {
+              type: 'object',
+              properties: {
+                description: {type: 'number', minimum: 0, default: 4},
+                examples: {type: 'number', minimum: 0, default: 1},
+                name: {type: 'number', minimum: 0, default: 10},
+                params: {type: 'number', minimum: 0, default: 3},
+                returns: {type: 'number', minimum: 0, default: 2},
+                tutorial: {type: 'number', minimum: 0, default: 2}
+              }
+            }
+          }
+        },
+        results: {type: 'number', minimum: 1, default: 20}
+      }
+    },
+    sort: {
+      type: ['boolean', 'string', 'object'],
+      default: true,
+      variants: {
+        string: {enum: SORT_STRATEGIES.filter(strategy => strategy !== 'custom')},
+        object: {
+          properties: {
+            strategy: {type: 'string', enum: SORT_STRATEGIES},
+            comparator: {type: 'string'}
+          },
+          check: (value, path) => {
+            if (value.strategy === 'custom' && !value.comparator) {
+              return [util.format('%s.comparator is required by the "custom" strategy', path)];
+            }
+            if (value.comparator && value.strategy && value.strategy !== 'custom') {
+              return [util.format('%s.comparator is only used by the "custom" strategy, got "%s"', path, value.strategy)];
+            }
+            return [];
+          }
+        }
+      }
+    },
+    styles: {
+      type: 'object',
+      properties: {
+        darkTokens: STYLE_TOKENS,
+        tokens: STYLE_TOKENS
+      }
+    },
+    theme: {type: 'string'},
+    versions: {type: 'boolean', default: false}
+  }
+};
+
 module.exports = {
   parse,
-  loadFromEnv
+  loadFromEnv,
+  resolve,
+  schema,
+  suggest,
+  validate
 };
 
 function loadFromEnv() {
-  console.log('');
-  console.log('config =', env.conf);
-  console.log('');
+  let config = parse(env && env.conf ? env.conf.powerMode : undefined);
 
-  if (env && env.conf && env.conf.powerMode) {
-    return parse(env.conf.powerMode);
+  if (!config.isValid()) {
+    config.errors().forEach(error => diagnostics.error('Invalid powerMode configuration: %s', error));
+    diagnostics.fatal('The powerMode configuration has %d error(s), no documentation will be generated.', config.errors().length);
+  } else if (powerDiagnosticsHelper.isDebugEnabled()) {
+    diagnostics.debug('Resolved settings: %j', config.settings());
   }
+
+  return config;
 }
 
 function parse(object) {
-  let config = object || {};
+  let config = object === undefined || object === null ? {} : object;
+  let errors = validate(config, schema, 'powerMode');
+  let resolved = errors.length ? resolve({}, schema) : resolve(config, schema);
 
-  const defaults = {
-    displayStaticMembers: false,
-    sort: true
+  return {
+    errors                    : () => errors.slice(),
+    getCacheFilename          : () => outputFilename(resolved.cache, '.powermode-cache.json'),
+    getCoverageFilename       : () => coverageEnabled(resolved.coverage) ? outputFilename(resolved.coverage.json, 'coverage.json') : null,
+    getCoverageMinimum        : () => resolved.coverage.minimum !== undefined ? resolved.coverage.minimum : null,
+    getFooter                 : () => clone(resolved.footer),
+    getIgnoredLinks           : () => resolved.links.ignore.slice(),
+    getLatestAlias            : () => resolved.output.latest === true ? 'copy' : resolved.output.latest || null,
+    getJsonFilename           : () => outputFilename(resolved.outputs.json, 'api.json'),
+    getMarkdownDirectory      : () => outputFilename(resolved.outputs.markdown, 'markdown'),
+    getNavDisplay             : () => navDisplay(resolved),
+    getNavSections            : () => navSections(resolved.nav),
+    getOutputLayout           : () => resolved.output.layout,
+    getParallelWorkers        : () => parallelWorkers(resolved.parallel),
+    getPlugins                : () => resolved.plugins.slice(),
+    getReportFilename         : () => outputFilename(resolved.diagnostics.report, 'powermode-report.json'),
+    getFullTextWeights        : () => clone(resolved.search.fullText.weights),
+    getSearchResults          : () => resolved.search.results,
+    getSort                   : () => sortOptions(resolved.sort),
+    getStyles                 : () => clone(resolved.styles),
+    getTheme                  : () => resolved.theme || null,
+    getTypescriptDirectory    : () => outputFilename(resolved.outputs.typescript, 'types'),
+    isLinkCheckStrict         : () => resolved.links.strict,
+    isReproducible            : () => !!resolved.reproducible,
+    isValid                   : () => errors.length === 0,
+    isVersioned               : () => resolved.versions,
+    settings                  : () => clone(resolved),
+    shouldDisplayStaticMembers: () => navDisplay(resolved).static,
+    shouldDrawEvents          : () => resolved.diagrams.events,
+    shouldDrawInheritance     : () => resolved.diagrams.inheritance,
+    shouldDrawModules         : () => resolved.diagrams.modules,
+    shouldCheckLinks          : () => resolved.links.check || resolved.links.strict,
+    shouldCheckReproducibility: () => resolved.reproducible === 'check',
+    shouldReportCoverage      : () => coverageEnabled(resolved.coverage),
+    shouldIndexFullText       : () => resolved.search.enabled && resolved.search.fullText.enabled,
+    shouldSearch              : () => resolved.search.enabled,
+    shouldSort                : () => sortOptions(resolved.sort).strategy !== 'none'
   };
+}
+
+// `true` leaves a core to the main thread, which writes the pages
+function parallelWorkers(option) {
+  if (option === true) {
+    return Math.max(1, os.cpus().length - 1);
+  }
+  return option || 0;
+}
+
+// a minimum asks for the coverage too
+function coverageEnabled(coverage) {
+  return coverage.enabled || coverage.minimum !== undefined;
+}
+
+// `true` picks the default file name, a string names the file, anything else disables the output
+function outputFilename(option, defaultFilename) {
+  if (option === true) {
+    return defaultFilename;
+  }
+  return option || null;
+}
 
+// `displayStaticMembers` predates `nav.display` and is still honoured when `nav.display.static` is not set
+function navDisplay(resolved) {
+  let display = clone(resolved.nav.display);
+
+  if (display.static === undefined) {
+    display.static = resolved.displayStaticMembers;
+  }
+  return display;
+}
+
+// sections missing from `order` keep their default position, after the listed ones
+function navSections(nav) {
+  let order = nav.order.concat(Object.keys(NAV_SECTIONS).filter(id => nav.order.indexOf(id) === -1));
+
+  return order.map(id => ({
+    id,
+    collapsed: nav.sections[id].collapsed,
+    heading: nav.sections[id].heading,
+    hidden: nav.sections[id].hidden,
+    limit: nav.sections[id].limit !== undefined ? nav.sections[id].limit : nav.limit
+  }));
+}
+
+function sortOptions(sort) {
+  if (sort === true || sort === false) {
+    return {strategy: sort ? 'longname' : 'none', comparator: null};
+  }
+  if (typeof sort === 'string') {
+    return {strategy: sort, comparator: null};
+  }
   return {
-    shouldDisplayStaticMembers: () => trueOrNotWithDefault(config.displayStaticMembers, defaults.displayStaticMembers),
-    shouldSort                : () => trueOrNotWithDefault(config.sort, defaults.sort)
+    strategy: sort.strategy || (sort.comparator ? 'custom' : 'longname'),
+    comparator: sort.comparator || null
   };
+}
+
+/**
+ * Fill in the defaults declared by `node` for every option missing from `value`.
+ * @param {*} value The (already validated) configuration value.
+ * @param {object} node The schema node describing the value.
+ * @return {*} The resolved value.
+ */
+function resolve(value, node) {
+  if (value === undefined) {
+    value = clone(node.default);
+  }
+
+  if (node.properties && (value === undefined || isPlainObject(value))) {
+    let source = value || {};
+    let resolved = {};
+
+    Object.keys(source).forEach(key => resolved[key] = source[key]);
+    Object.keys(node.properties).forEach(key => resolved[key] = resolve(source[key], node.properties[key]));
+    return resolved;
+  }
+
+  return value;
+}
+
+/**
+ * Check `value` against the schema `node`.
+ * @param {*} value The configuration value.
+ * @param {object} node The schema node describing the value.
+ * @param {string} path The dotted path of the value, used in messages.
+ * @return {Array.<string>} The error messages, empty when the value is valid.
+ */
+function validate(value, node, path) {
+  let errors = [];
+
+  if (value === undefined) {
+    return errors;
+  }
+
+  let types = [].concat(node.type || 'any');
+  let actual = typeOf(value);
+
+  if (types.indexOf('any') === -1 && types.indexOf(actual) === -1) {
+    errors.push(util.format('%s must be of type %s, got %s %s', path, types.join(' or '), actual, JSON.stringify(value)));
+    return errors;
+  }
+
+  if (node.variants && node.variants[actual]) {
+    return validate(value, node.variants[actual], path);
+  }
+
+  if (node.enum && node.enum.indexOf(value) === -1) {
+    errors.push(util.format('%s must be one of %s, got %s%s', path, node.enum.map(e => JSON.stringify(e)).join(', '),
+      JSON.stringify(value), didYouMean(value, node.enum)));
+  }
+
+  if (actual === 'number' && node.minimum !== undefined && value < node.minimum) {
+    errors.push(util.format('%s must be greater than or equal to %d, got %d', path, node.minimum, value));
+  }
+
+  if (actual === 'object' && (node.properties || node.additionalProperties)) {
+    let properties = node.properties || {};
+    let known = Object.keys(properties);
+
+    Object.keys(value).forEach(key => {
+      let keyPath = path + '.' + key;
+
+      if (properties.hasOwnProperty(key)) {
+        errors = errors.concat(validate(value[key], properties[key], keyPath));
+      } else if (node.additionalProperties) {
+        errors = errors.concat(validate(value[key], node.additionalProperties, keyPath));
+      } else {
+        errors.push(util.format('%s is not a known option%s', keyPath, didYouMean(key, known)));
+      }
+    });
+  }
+
+  if (actual === 'array' && node.items) {
+    value.forEach((item, i) => errors = errors.concat(validate(item, node.items, util.format('%s[%d]', path, i))));
+  }
+
+  if (node.check && !errors.length) {
+    errors = errors.concat(node.check(value, path));
+  }
+
+  return errors;
+}
+
+/**
+ * Find the candidate closest to `value`, if any is close enough to be a likely typo.
+ * @param {string} value The unknown value.
+ * @param {Array.<string>} candidates The accepted values.
+ * @return {?string} The suggestion, or `null`.
+ */
+function suggest(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  if (typeof value !== 'string') {
+    return best;
+  }
+
+  candidates
+    .filter(candidate => typeof candidate === 'string')
+    .forEach(candidate => {
+      let distance = levenshtein(value.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+  return best !== null && bestDistance <= Math.max(2, Math.floor(best.length / 3)) ? best : null;
+}
+
+function didYouMean(value, candidates) {
+  let suggestion = suggest(value, candidates);
+  return suggestion !== null ? util.format(', did you mean "%s"?', suggestion) : '';
+}
+
+function levenshtein(a, b) {
+  let previous = [];
+  let current = [];
+
+  for (let j = 0; j <= b.length; j++) {
+    previous[j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// the documentation stays in the destination, placeholders are known
+// what is written where the setting says stays in the destination
+function pathErrors(value, path) {
+  return /^([\\/]|[a-zA-Z]:)/.test(value) || value.split(/[\\/]/).indexOf('..') > -1
+    ? [util.format('%s must be a path inside the destination, got "%s"', path, value)]
+    : [];
+}
+
+function layoutErrors(layout, path) {
+  let errors = pathErrors(layout, path);
+
+  (layout.match(/\{[^}]*\}/g) || [])
+    .map(placeholder => placeholder.slice(1, -1))
+    .filter(key => powerOutputHelper.LAYOUT_PLACEHOLDERS.indexOf(key) === -1)
+    .forEach(key => errors.push(util.format('%s uses the unknown placeholder {%s}%s', path, key,
+      didYouMean(key, powerOutputHelper.LAYOUT_PLACEHOLDERS))));
+
+  return errors;
+}
+
+function isLocale(value) {
+  try {
+    new Date(0).toLocaleString(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// browsers ignore the whitespace and control characters in a scheme, `java\tscript:` runs too
+function isScriptUrl(value) {
+  return typeof value === 'string' && /^(javascript|vbscript|data):/i.test(value.replace(/[\u0000-\u0020]/g, ''));
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === 'object';
+}
 
-  function trueOrNotWithDefault(value, defaultValue) {
-    return (value === true || value === false) ? value : defaultValue;
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
   }
+  return Array.isArray(value) ? 'array' : typeof value;
 }
@@ -0,0 +1,116 @@
+const util = require('util');
+
+const FORMAT_VERSION = 1;
+
+// not part of the API
+const SKIPPED_KINDS = ['file', 'package'];
+
+module.exports = {
+  FORMAT_VERSION,
+  buildCoverage,
+  checkDoclet,
+  formatPercent
+};
+
+/**
+ * Measure how much of the API is documented. Every symbol needs a description, every parameter a description
+ * and a type, every function a `@returns` (`{void}` included); each of these is a check, passed or missed.
+ * @param {Array.<object>} doclets The pruned doclets.
+ * @return {object} The `total`, the `files` and the `modules`, each with its `checks`, `passed` and `percent`;
+ *                  the files also list what is `missing`, per symbol.
+ */
+function buildCoverage(doclets) {
+  let total = {checks: 0, passed: 0, percent: 100};
+  let files = {};
+  let modules = {};
+
+  doclets
+    // inherited and mixed in members are copies, counted where they are documented
+    .filter(doclet => SKIPPED_KINDS.indexOf(doclet.kind) === -1 && !doclet.inherited && !doclet.mixed)
+    .forEach(doclet => {
+      let results = checkDoclet(doclet);
+      let file = sourceFile(doclet);
+      let module = moduleOf(doclet);
+      let missing = results.filter(result => !result.passed).map(result => result.check);
+
+      files[file] = files[file] || {file, checks: 0, passed: 0, percent: 100, missing: []};
+      add(total, results);
+      add(files[file], results);
+
+      if (module) {
+        modules[module] = modules[module] || {module, checks: 0, passed: 0, percent: 100};
+        add(modules[module], results);
+      }
+
+      if (missing.length) {
+        files[file].missing.push({
+          longname: doclet.longname,
+          kind: doclet.kind,
+          line: doclet.meta ? doclet.meta.lineno : null,
+          problems: missing
+        });
+      }
+    });
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    total: withPercent(total),
+    files: Object.keys(files).sort().map(file => withPercent(files[file])),
+    modules: Object.keys(modules).sort().map(module => withPercent(modules[module]))
+  };
+}
+
+/**
+ * Run the checks of a doclet.
+ * @param {object} doclet The doclet.
+ * @return {Array.<object>} The `{check, passed}` of every check, `check` saying what is needed.
+ */
+function checkDoclet(doclet) {
+  let results = [{check: 'a description', passed: hasText(doclet.kind === 'class' ? doclet.classdesc || doclet.description : doclet.description)}];
+
+  // the properties of a parameter (`options.name`) are left out, their parent is checked
+  (doclet.params || [])
+    .filter(param => param.name && param.name.indexOf('.') === -1)
+    .forEach(param => {
+      results.push({check: util.format('a description of the parameter %s', param.name), passed: hasText(param.description)});
+      results.push({check: util.format('a type for the parameter %s', param.name), passed: !!(param.type && param.type.names && param.type.names.length)});
+    });
+
+  if (doclet.kind === 'function') {
+    results.push({check: 'a @returns', passed: !!(doclet.returns && doclet.returns.length)});
+  }
+  return results;
+}
+
+/**
+ * Format a coverage ratio.
+ * @param {number} percent The percentage.
+ * @return {string} The percentage with one decimal, e.g. `87.5%`.
+ */
+function formatPercent(percent) {
+  return percent.toFixed(1) + '%';
+}
+
+function hasText(text) {
+  return typeof text === 'string' && text.replace(/<[^>]*>/g, '').trim().length > 0;
+}
+
+function sourceFile(doclet) {
+  let meta = doclet.meta || {};
+  return meta.shortpath || meta.filename || '(unknown file)';
+}
+
+function moduleOf(doclet) {
+  let match = /^module:[^.#~]+/.exec(doclet.longname || '');
+  return match ? match[0] : null;
+}
+
+function add(counts, results) {
+  counts.checks += results.length;
+  counts.passed += results.filter(result => result.passed).length;
+}
+
+function withPercent(counts) {
+  counts.percent = counts.checks ? counts.passed * 100 / counts.checks : 100;
+  return counts;
+}
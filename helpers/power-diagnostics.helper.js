@@ -0,0 +1,127 @@
+/* global env: true */
+
+const jsdocLogger = require('jsdoc/util/logger');
+const util = require('util');
+
+const REPORT_VERSION = 1;
+
+let entries = [];
+let timings = [];
+
+module.exports = {
+  buildReport,
+  channel,
+  getTimings,
+  isDebugEnabled,
+  measure
+};
+
+/**
+ * Create a logger bound to `scope`. Everything goes through `jsdoc/util/logger`, so the levels
+ * shown follow `opts.verbose` and `opts.debug`, and every entry is also kept for the JSON report.
+ * @param {string} scope The part of powerMode that logs, e.g. `configurator`.
+ * @return {object} The `debug`, `info`, `warn`, `error` and `fatal` functions of the channel.
+ */
+function channel(scope) {
+  return {
+    debug: (...args) => log('debug', scope, args),
+    info : (...args) => log('info', scope, args),
+    warn : (...args) => log('warn', scope, args),
+    error: (...args) => log('error', scope, args),
+    fatal: (...args) => log('fatal', scope, args)
+  };
+}
+
+/**
+ * Build the machine-readable report of a run.
+ * @param {object} settings The resolved powerMode settings.
+ * @return {object} The report, ready for `JSON.stringify`.
+ */
+function buildReport(settings) {
+  return {
+    reportVersion: REPORT_VERSION,
+    jsdocVersion: env && env.version ? env.version.number : null,
+    settings: sanitize(settings),
+    diagnostics: entries.map(entry => ({
+      level: entry.level,
+      scope: entry.scope,
+      message: sanitize(entry.message)
+    })),
+    timings: getTimings()
+  };
+}
+
+function getTimings() {
+  return timings.map(timing => Object.assign({}, timing));
+}
+
+function isDebugEnabled() {
+  return !!(env && env.opts && env.opts.debug);
+}
+
+/**
+ * Run a phase of the build and record how long it took, added up when the phase runs more than once.
+ * @param {string} phase The name of the phase, e.g. `pages`.
+ * @param {function} fn The phase, which may return a promise.
+ * @return {*} What `fn` returns.
+ */
+function measure(phase, fn) {
+  let start = process.hrtime();
+  let result;
+
+  try {
+    result = fn();
+  } catch (e) {
+    record(phase, start);
+    throw e;
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.then(value => {
+      record(phase, start);
+      return value;
+    }, e => {
+      record(phase, start);
+      throw e;
+    });
+  }
+
+  record(phase, start);
+  return result;
+}
+
+function log(level, scope, args) {
+  let message = util.format(...args);
+
+  entries.push({level, scope, message});
+  jsdocLogger[level]('[powerMode:%s] %s', scope, message);
+}
+
+function record(phase, start) {
+  let elapsed = process.hrtime(start);
+  let timing = timings.find(recorded => recorded.phase === phase);
+
+  if (!timing) {
+    timing = {phase, ms: 0};
+    timings.push(timing);
+  }
+  timing.ms = Math.round((timing.ms + elapsed[0] * 1e3 + elapsed[1] / 1e6) * 10) / 10;
+}
+
+// keep local paths out of anything that may end up in a CI artifact
+function sanitize(value) {
+  let cwd = process.cwd();
+
+  if (typeof value === 'string') {
+    return value.split(cwd).join('.');
+  }
+  if (Array.isArray(value)) {
+    return value.map(sanitize);
+  }
+  if (value && typeof value === 'object') {
+    let sanitized = {};
+    Object.keys(value).forEach(key => sanitized[key] = sanitize(value[key]));
+    return sanitized;
+  }
+  return value;
+}
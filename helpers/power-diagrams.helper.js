@@ -0,0 +1,350 @@
+const util = require('util');
+
+// the kinds that get an inheritance diagram on their page
+const TYPE_KINDS = ['class', 'interface', 'mixin'];
+
+// the sizes, in pixels, of a monospaced 12px font and of the boxes around it
+const CHAR_WIDTH = 7.5;
+const NODE_HEIGHT = 28;
+const NODE_PADDING = 12;
+const NODE_GAP = 24;
+const RANK_GAP = 48;
+const MARGIN = 8;
+const ARROW_SIZE = 8;
+
+module.exports = {
+  TYPE_KINDS,
+  buildInheritance,
+  buildModuleGraph,
+  renderGraph
+};
+
+/**
+ * Draw the inheritance of every class, interface and mixin: its ancestors and the mixins and interfaces it
+ * uses above it, what extends, mixes in or implements it below.
+ * @param {Array.<object>} doclets The doclets.
+ * @param {object} urls The URL of every longname whose page is written, the others are not linked.
+ * @return {object} The SVG of each longname that has relatives, the others have no diagram.
+ */
+function buildInheritance(doclets, urls) {
+  let types = {};
+  let children = {};
+
+  doclets
+    .filter(doclet => TYPE_KINDS.indexOf(doclet.kind) > -1 && !doclet.undocumented && doclet.longname)
+    .forEach(doclet => {
+      types[doclet.longname] = types[doclet.longname] || doclet;
+    });
+
+  Object.keys(types).forEach(longname => parentsOf(types[longname]).forEach(parent => {
+    children[parent.longname] = children[parent.longname] || [];
+    children[parent.longname].push({longname, kind: parent.kind});
+  }));
+
+  return Object.keys(types).reduce((diagrams, longname) => {
+    let graph = inheritanceGraph(longname, types, children, urls);
+
+    if (graph.nodes.length > 1) {
+      diagrams[longname] = renderGraph(graph);
+    }
+    return diagrams;
+  }, {});
+}
+
+// `extends` is followed all the way, mixins and interfaces only next to the diagrammed type
+function inheritanceGraph(focus, types, children, urls) {
+  let graph = {label: util.format('Inheritance of %s', focus), nodes: [], edges: []};
+  let ranks = {};
+
+  let addNode = (longname, rank) => {
+    if (ranks[longname] !== undefined) {
+      return false;
+    }
+
+    let doclet = types[longname];
+    ranks[longname] = rank;
+    graph.nodes.push({
+      id: longname,
+      text: doclet ? doclet.name : shortName(longname),
+      title: longname,
+      url: urls[longname] || null,
+      kind: longname === focus ? 'current' : doclet ? doclet.kind : 'external',
+      rank
+    });
+    return true;
+  };
+
+  let up = (longname, rank) => parentsOf(types[longname] || {}).forEach(parent => {
+    if (parent.kind !== 'extends' && longname !== focus) {
+      return;
+    }
+    let added = addNode(parent.longname, rank - 1);
+    graph.edges.push({from: longname, to: parent.longname, kind: parent.kind});
+    if (added && parent.kind === 'extends') {
+      up(parent.longname, rank - 1);
+    }
+  });
+
+  let down = (longname, rank) => (children[longname] || []).forEach(child => {
+    if (child.kind !== 'extends' && longname !== focus) {
+      return;
+    }
+    let added = addNode(child.longname, rank + 1);
+    graph.edges.push({from: child.longname, to: longname, kind: child.kind});
+    if (added) {
+      down(child.longname, rank + 1);
+    }
+  });
+
+  addNode(focus, 0);
+  up(focus, 0);
+  down(focus, 0);
+
+  return graph;
+}
+
+function parentsOf(doclet) {
+  let relations = [['augments', 'extends'], ['mixes', 'mixes'], ['implements', 'implements']];
+
+  return relations.reduce((parents, relation) => parents.concat((doclet[relation[0]] || [])
+    .filter(longname => typeof longname === 'string')
+    .map(longname => ({longname, kind: relation[1]}))), []);
+}
+
+/**
+ * Gather the dependencies the modules declare with `@requires`, between them and on what is not documented,
+ * and draw them, the modules that require one another in a cycle highlighted.
+ * @param {Array.<object>} doclets The doclets.
+ * @param {object} urls The URL of every longname whose page is written, the others are not linked.
+ * @return {?object} The `modules`, as `{longname, requires, requiredBy, external, cyclic}`, the `cycles`, as lists
+ *                   of longnames, and the `svg`; `null` when no module requires anything.
+ */
+function buildModuleGraph(doclets, urls) {
+  let modules = {};
+  let add = longname => modules[longname] = modules[longname] || {longname, requires: [], requiredBy: [], external: true, cyclic: false};
+
+  doclets
+    .filter(doclet => doclet.kind === 'module' && !doclet.undocumented && doclet.longname)
+    .forEach(doclet => {
+      add(doclet.longname).external = false;
+      (doclet.requires || [])
+        .filter(longname => typeof longname === 'string' && longname !== doclet.longname)
+        .forEach(longname => {
+          let module = modules[doclet.longname];
+
+          if (module.requires.indexOf(longname) === -1) {
+            module.requires.push(longname);
+            add(longname).requiredBy.push(doclet.longname);
+          }
+        });
+    });
+
+  let list = Object.keys(modules).sort().map(longname => modules[longname]);
+
+  if (!list.some(module => module.requires.length)) {
+    return null;
+  }
+
+  let cycles = findCycles(list, modules);
+  let cycleOf = {};
+
+  cycles.forEach((cycle, i) => cycle.forEach(longname => {
+    cycleOf[longname] = i;
+    modules[longname].cyclic = true;
+  }));
+
+  let svg = renderGraph({
+    label: 'Module dependencies',
+    nodes: list.map(module => ({
+      id: module.longname,
+      text: module.longname.replace(/^module:/, ''),
+      title: module.longname,
+      url: module.external ? null : urls[module.longname] || null,
+      kind: module.cyclic ? 'cycle' : module.external ? 'external' : 'module'
+    })),
+    edges: list.reduce((edges, module) => edges.concat(module.requires.map(longname => ({
+      from: module.longname,
+      to: longname,
+      kind: cycleOf[module.longname] !== undefined && cycleOf[module.longname] === cycleOf[longname] ? 'cycle' : 'requires',
+      label: 'requires'
+    }))), [])
+  });
+
+  list.forEach(module => module.requiredBy.sort());
+  return {modules: list, cycles, svg};
+}
+
+// the strongly connected components of more than one module, after Tarjan
+function findCycles(list, modules) {
+  let index = 0;
+  let stack = [];
+  let states = {};
+  let cycles = [];
+
+  let connect = longname => {
+    let state = states[longname] = {index, lowlink: index, onStack: true};
+
+    index++;
+    stack.push(longname);
+    modules[longname].requires.forEach(required => {
+      if (!states[required]) {
+        connect(required);
+        state.lowlink = Math.min(state.lowlink, states[required].lowlink);
+      } else if (states[required].onStack) {
+        state.lowlink = Math.min(state.lowlink, states[required].index);
+      }
+    });
+
+    if (state.lowlink === state.index) {
+      let component = [];
+      let member;
+
+      do {
+        member = stack.pop();
+        states[member].onStack = false;
+        component.push(member);
+      } while (member !== longname);
+
+      if (component.length > 1) {
+        cycles.push(component.sort());
+      }
+    }
+  };
+
+  list.forEach(module => {
+    if (!states[module.longname]) {
+      connect(module.longname);
+    }
+  });
+  return cycles;
+}
+
+/**
+ * Lay out and draw a graph as an inline SVG: the nodes in rows by rank, each row ordered after the nodes it is
+ * linked to in the row above, the edges as curves ending in an arrow. The colors come from the stylesheet.
+ * @param {object} graph The `label` of the diagram, its `nodes`, as `{id, text, title, url, kind, rank}`, and its
+ *                       `edges`, as `{from, to, kind, label}`; the nodes without a `rank` are ranked after the edges,
+ *                       each below what it points to.
+ * @return {string} The SVG.
+ */
+function renderGraph(graph) {
+  let nodes = graph.nodes.map(node => Object.assign({width: Math.round(node.text.length * CHAR_WIDTH) + 2 * NODE_PADDING}, node));
+  let byId = {};
+
+  nodes.forEach(node => byId[node.id] = node);
+  let edges = graph.edges.filter(edge => byId[edge.from] && byId[edge.to] && edge.from !== edge.to);
+
+  rankNodes(nodes.filter(node => node.rank === undefined), edges, byId);
+
+  let rows = orderRows(nodes, edges);
+  let rowWidths = rows.map(row => row.reduce((width, node) => width + node.width, 0) + (row.length - 1) * NODE_GAP);
+  let width = Math.max.apply(null, rowWidths) + 2 * MARGIN;
+  let height = rows.length * NODE_HEIGHT + (rows.length - 1) * RANK_GAP + 2 * MARGIN;
+
+  rows.forEach((row, r) => {
+    let x = MARGIN + (width - 2 * MARGIN - rowWidths[r]) / 2;
+
+    row.forEach(node => {
+      node.x = x;
+      node.y = MARGIN + r * (NODE_HEIGHT + RANK_GAP);
+      x += node.width + NODE_GAP;
+    });
+  });
+
+  return [util.format('<svg class="diagram" xmlns="http://www.w3.org/2000/svg" width="%d" height="%d" viewBox="0 0 %d %d" role="img" aria-label="%s">',
+    width, height, width, height, escape(graph.label))]
+    .concat(edges.map(edge => drawEdge(edge, byId[edge.from], byId[edge.to])))
+    .concat(nodes.map(drawNode))
+    .concat(['</svg>'])
+    .join('\n');
+}
+
+// the longest path from a node nothing points to, so every edge goes down, edges closing a cycle are left out
+function rankNodes(unranked, edges, byId) {
+  let visiting = new Set();
+  let rank = node => {
+    if (node.rank !== undefined) {
+      return node.rank;
+    }
+    if (visiting.has(node.id)) {
+      return 0;
+    }
+
+    visiting.add(node.id);
+    let above = edges.filter(edge => edge.to === node.id && !visiting.has(edge.from)).map(edge => rank(byId[edge.from]) + 1);
+    visiting.delete(node.id);
+
+    node.rank = Math.max.apply(null, [0].concat(above));
+    return node.rank;
+  };
+
+  unranked.forEach(rank);
+}
+
+// one pass down the rows, each node at the average position of its neighbours in the row above
+function orderRows(nodes, edges) {
+  let ranks = nodes.map(node => node.rank).filter((rank, i, all) => all.indexOf(rank) === i).sort((a, b) => a - b);
+  let rows = ranks.map(rank => nodes.filter(node => node.rank === rank));
+  let positions = {};
+
+  return rows.map((row, r) => {
+    let ordered = row
+      .map((node, i) => {
+        let neighbours = r === 0 ? [] : edges
+          .map(edge => edge.from === node.id ? edge.to : edge.to === node.id ? edge.from : null)
+          .filter(id => id !== null && positions[id] !== undefined && rows[r - 1].some(other => other.id === id))
+          .map(id => positions[id]);
+
+        return {node, i, weight: neighbours.length ? neighbours.reduce((sum, position) => sum + position, 0) / neighbours.length : i};
+      })
+      .sort((a, b) => a.weight - b.weight || a.i - b.i)
+      .map(entry => entry.node);
+
+    ordered.forEach((node, i) => positions[node.id] = i);
+    return ordered;
+  });
+}
+
+function drawNode(node) {
+  let box = util.format('<rect x="%d" y="%d" width="%d" height="%d" rx="3"/><text x="%d" y="%d" text-anchor="middle">%s</text>',
+    node.x, node.y, node.width, NODE_HEIGHT, node.x + node.width / 2, node.y + NODE_HEIGHT / 2 + 4, escape(node.text));
+
+  if (node.url) {
+    box = util.format('<a href="%s">%s</a>', escape(encodeURI(node.url)), box);
+  }
+  return util.format('<g class="diagram-node diagram-node-%s"><title>%s</title>%s</g>', node.kind, escape(node.title || node.text), box);
+}
+
+// from the top or the bottom of a box to the one of the other, over the row when both are in the same one
+function drawEdge(edge, from, to) {
+  let x1 = from.x + from.width / 2;
+  let x2 = to.x + to.width / 2;
+  let y1 = to.rank < from.rank ? from.y : from.y + NODE_HEIGHT;
+  let y2 = to.rank > from.rank ? to.y : to.y + NODE_HEIGHT;
+  let bend = (y1 + y2) / 2;
+
+  if (to.rank === from.rank) {
+    y1 = from.y;
+    y2 = to.y;
+    bend = from.y - RANK_GAP / 2;
+  }
+
+  // the arrow points into the box it reaches, the curve stops at its base
+  let direction = to.rank === from.rank || y2 > y1 ? 1 : -1;
+  let base = y2 - direction * ARROW_SIZE;
+
+  return util.format('<g class="diagram-edge diagram-edge-%s"><title>%s %s %s</title><path d="M%d %d C%d %d, %d %d, %d %d"/>' +
+    '<polygon points="%d,%d %d,%d %d,%d"/></g>',
+    edge.kind, escape(from.title || from.text), edge.label || edge.kind, escape(to.title || to.text),
+    x1, y1, x1, bend, x2, bend, x2, base,
+    x2, y2, x2 - ARROW_SIZE / 2, base, x2 + ARROW_SIZE / 2, base);
+}
+
+function shortName(longname) {
+  let match = /[^.#~/:]+$/.exec(longname);
+  return match ? match[0] : longname;
+}
+
+function escape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,151 @@
+const powerDiagramsHelper = require('./power-diagrams.helper');
+
+// the kinds that own the events their members fire or listen to
+const OWNER_KINDS = ['class', 'external', 'interface', 'mixin', 'module', 'namespace'];
+
+module.exports = {
+  buildEvents
+};
+
+/**
+ * Gather every event with its payload, the symbols that fire it (`@fires`) and the ones that listen to it
+ * (`@listens`), then draw which classes, modules or namespaces fire the events which others listen to.
+ * @param {Array.<object>} doclets The doclets.
+ * @param {object} urls The URL of every longname whose page is written, the others are not linked.
+ * @return {?object} The `events`, as `{longname, name, owner, documented, types, properties, emitters, listeners}`,
+ *                   and the `svg`, `null` when nothing fires or listens; `null` when there is no event at all.
+ */
+function buildEvents(doclets, urls) {
+  let byLongname = {};
+  let events = {};
+
+  doclets
+    .filter(doclet => !doclet.undocumented && doclet.longname)
+    .forEach(doclet => byLongname[doclet.longname] = byLongname[doclet.longname] || doclet);
+
+  let add = longname => {
+    let doclet = byLongname[longname];
+
+    events[longname] = events[longname] || {
+      longname,
+      name: doclet && doclet.kind === 'event' ? doclet.name : longname.replace(/^.*event:/, ''),
+      owner: doclet && doclet.kind === 'event' ? doclet.memberof || null : ownerOfEvent(longname),
+      documented: !!(doclet && doclet.kind === 'event'),
+      types: doclet && doclet.type && doclet.type.names ? doclet.type.names.slice() : [],
+      properties: doclet ? (doclet.properties || []).map(property => ({
+        name: property.name,
+        types: property.type && property.type.names ? property.type.names.slice() : []
+      })) : [],
+      emitters: [],
+      listeners: []
+    };
+    return events[longname];
+  };
+
+  // inherited and mixed in members are copies, the symbol they copy is listed already
+  doclets
+    .filter(doclet => doclet.kind === 'event' && !doclet.undocumented && doclet.longname && !doclet.inherited && !doclet.mixed)
+    .forEach(doclet => add(doclet.longname));
+
+  doclets
+    .filter(doclet => !doclet.undocumented && doclet.longname && !doclet.inherited && !doclet.mixed)
+    .forEach(doclet => {
+      strings(doclet.fires).forEach(longname => push(add(longname).emitters, doclet.longname));
+      strings(doclet.listens).forEach(longname => push(add(longname).listeners, doclet.longname));
+    });
+
+  let list = Object.keys(events).sort().map(longname => events[longname]);
+
+  if (!list.length) {
+    return null;
+  }
+  list.forEach(event => {
+    event.emitters.sort();
+    event.listeners.sort();
+  });
+
+  return {events: list, svg: drawFlow(list, byLongname, urls)};
+}
+
+// owners fire the events, which their listeners' owners listen to
+function drawFlow(events, byLongname, urls) {
+  let graph = {label: 'Event flow', nodes: [], edges: []};
+  let ids = {};
+
+  let addNode = node => {
+    if (!ids[node.id]) {
+      ids[node.id] = true;
+      graph.nodes.push(node);
+    }
+  };
+
+  let addEdge = edge => {
+    if (!graph.edges.some(other => other.from === edge.from && other.to === edge.to)) {
+      graph.edges.push(edge);
+    }
+  };
+
+  events
+    .filter(event => event.emitters.length || event.listeners.length)
+    .forEach(event => {
+      addNode({
+        id: event.longname,
+        text: event.name,
+        title: event.longname,
+        url: event.documented ? urls[event.longname] || null : null,
+        kind: 'event'
+      });
+
+      event.emitters.map(longname => ownerOf(longname, byLongname)).forEach(owner => {
+        addNode(ownerNode(owner, byLongname, urls));
+        addEdge({from: owner, to: event.longname, kind: 'fires', label: 'fires'});
+      });
+      event.listeners.map(longname => ownerOf(longname, byLongname)).forEach(owner => {
+        addNode(ownerNode(owner, byLongname, urls));
+        addEdge({from: event.longname, to: owner, kind: 'listens', label: 'is listened to by'});
+      });
+    });
+
+  return graph.nodes.length ? powerDiagramsHelper.renderGraph(graph) : null;
+}
+
+function ownerNode(owner, byLongname, urls) {
+  return {
+    id: owner,
+    text: displayName(owner, byLongname),
+    title: owner,
+    url: byLongname[owner] ? urls[owner] || null : null,
+    kind: byLongname[owner] ? 'owner' : 'external'
+  };
+}
+
+// the class, module or namespace of a member, a global symbol stands for itself
+function ownerOf(longname, byLongname) {
+  let doclet = byLongname[longname];
+
+  if (!doclet || OWNER_KINDS.indexOf(doclet.kind) > -1 || !doclet.memberof) {
+    return longname;
+  }
+  return doclet.memberof;
+}
+
+// `Foo#event:change` belongs to `Foo`
+function ownerOfEvent(longname) {
+  let match = /^(.+)[#.~]event:/.exec(longname);
+  return match ? match[1] : null;
+}
+
+function displayName(longname, byLongname) {
+  let doclet = byLongname[longname];
+  return doclet && doclet.kind !== 'module' ? doclet.name : longname.replace(/^module:/, '');
+}
+
+function strings(values) {
+  return (values || []).filter(value => typeof value === 'string');
+}
+
+function push(list, value) {
+  if (list.indexOf(value) === -1) {
+    list.push(value);
+  }
+}
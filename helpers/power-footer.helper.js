@@ -0,0 +1,125 @@
+/* global env: true */
+
+const fs = require('fs');
+const jsdocMarkdown = require('jsdoc/util/markdown');
+const path = require('path');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+
+const diagnostics = powerDiagnosticsHelper.channel('footer');
+
+const COMMIT_LENGTH = 7;
+
+module.exports = {
+  buildFooter,
+  formatDate,
+  readCommit
+};
+
+/**
+ * Gather what the footer of every page shows, rendered by `footer.tmpl`.
+ * @param {object} options The `footer` setting.
+ * @param {object} context The `packageInfo` doclet, if any, the `date` of the build, `null` when the date is
+ *                         left out, and the `directory` to look for a git repository from.
+ * @return {object} The `content`, `links`, `project`, `commit`, `date` and `generator` of the footer, `null`
+ *                  for the parts it does not show. Every link has its `url` escaped for an attribute as `href`.
+ */
+function buildFooter(options, context) {
+  let packageInfo = context.packageInfo || {};
+  let version = typeof options.version === 'string' ? options.version : (options.version && packageInfo.version);
+  let commit = options.commit ? readCommit(context.directory) : null;
+
+  if (options.commit && !commit) {
+    diagnostics.warn('No git repository found from %s, the footer shows no commit', context.directory);
+  }
+
+  return {
+    content: options.content ? jsdocMarkdown.getParser()(options.content) : null,
+    links: options.links.map(link => ({text: link.text, url: link.url, href: escapeAttribute(link.url)})),
+    project: version ? {name: packageInfo.name || null, version} : null,
+    commit: commit ? commit.slice(0, COMMIT_LENGTH) : null,
+    date: options.date && context.date ? formatDate(context.date, options.date, options.locale) : null,
+    generator: options.generator ? {jsdoc: env.version.number, powerMode: require('../package.json').version} : null
+  };
+}
+
+/**
+ * Format the date of the build.
+ * @param {Date} date The date.
+ * @param {(boolean|string)} format `iso` (or `true`) for an ISO 8601 date, `locale` for the conventions of `locale`.
+ * @param {string=} locale A BCP 47 language tag, the locale of the system when missing.
+ * @return {object} The `iso` date, for `<time datetime>`, and its `text`.
+ */
+function formatDate(date, format, locale) {
+  return {
+    iso: date.toISOString(),
+    text: format === 'locale' ? date.toLocaleString(locale) : date.toISOString()
+  };
+}
+
+/**
+ * Read the commit checked out in the git repository holding `directory`, without running git.
+ * @param {string} directory A directory of the working tree.
+ * @return {?string} The full hash of the commit, `null` outside of a repository.
+ */
+function readCommit(directory) {
+  let gitDirectory = findGitDirectory(path.resolve(directory));
+
+  if (!gitDirectory) {
+    return null;
+  }
+
+  try {
+    let head = fs.readFileSync(path.join(gitDirectory, 'HEAD'), 'utf8').trim();
+    let ref = /^ref: (.+)$/.exec(head);
+
+    return ref ? readRef(gitDirectory, ref[1]) : head;
+  } catch (e) {
+    diagnostics.debug('Unable to read the HEAD of %s: %s', gitDirectory, e.message);
+    return null;
+  }
+}
+
+// `htmlsafe` leaves the quotes, which would end the attribute
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// `.git` is a directory, or a file pointing at one in worktrees and submodules
+function findGitDirectory(directory) {
+  let candidate = path.join(directory, '.git');
+
+  if (fs.existsSync(candidate)) {
+    if (fs.statSync(candidate).isDirectory()) {
+      return candidate;
+    }
+
+    let pointer = /^gitdir: (.+)$/m.exec(fs.readFileSync(candidate, 'utf8'));
+    return pointer ? path.resolve(directory, pointer[1].trim()) : null;
+  }
+
+  let parent = path.dirname(directory);
+  return parent !== directory ? findGitDirectory(parent) : null;
+}
+
+// a loose ref first, then the packed ones; the refs of a worktree live in the main repository
+function readRef(gitDirectory, ref) {
+  let commonFile = path.join(gitDirectory, 'commondir');
+  let common = fs.existsSync(commonFile) ? path.resolve(gitDirectory, fs.readFileSync(commonFile, 'utf8').trim()) : gitDirectory;
+  let loose = path.join(common, ref);
+
+  if (fs.existsSync(loose)) {
+    return fs.readFileSync(loose, 'utf8').trim();
+  }
+
+  let packedFile = path.join(common, 'packed-refs');
+  let packed = fs.existsSync(packedFile) ? fs.readFileSync(packedFile, 'utf8').split('\n') : [];
+  let line = packed.find(entry => entry.split(' ')[1] === ref);
+
+  // an unborn branch, before the first commit
+  return line ? line.split(' ')[0] : null;
+}
@@ -0,0 +1,128 @@
+/* global env: true */
+
+const powerSearchHelper = require('./power-search.helper');
+
+const FORMAT_VERSION = 1;
+
+// copied as they are, the other properties are normalized below or left out
+const PLAIN_PROPERTIES = [
+  'access', 'alias', 'async', 'augments', 'classdesc', 'copyright', 'defaultvalue', 'defaultvaluetype', 'deprecated',
+  'description', 'fires', 'generator', 'implementations', 'implements', 'inherited', 'inherits', 'kind', 'license',
+  'listens', 'listeners', 'longname', 'memberof', 'mixes', 'name', 'overrides', 'readonly', 'requires', 'scope',
+  'see', 'since', 'summary', 'todo', 'variation', 'version', 'virtual'
+];
+
+module.exports = {
+  FORMAT_VERSION,
+  buildModel,
+  normalizeDoclet
+};
+
+/**
+ * Build the JSON model of the documentation, the same data the template renders.
+ * @param {object} input The `doclets`, the `nav` model and the `urls` (`longnameToUrl`) of the run.
+ * @return {object} The model, ready for `JSON.stringify`.
+ */
+function buildModel(input) {
+  let packageInfo = input.doclets.find(doclet => doclet.kind === 'package') || {};
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    generator: {
+      name: 'jsdoc-powermode',
+      version: require('../package.json').version,
+      jsdoc: env && env.version ? env.version.number : null
+    },
+    package: {
+      name: packageInfo.name || null,
+      version: packageInfo.version || null
+    },
+    nav: input.nav,
+    doclets: input.doclets
+      .filter(doclet => doclet.kind !== 'package')
+      .map(doclet => normalizeDoclet(doclet, input.urls))
+  };
+}
+
+/**
+ * Turn a doclet into plain JSON: taffy bookkeeping and rendered HTML fragments are dropped, the
+ * source location is relative and the url of the page is added.
+ * @param {object} doclet The doclet.
+ * @param {object} urls The `longnameToUrl` map.
+ * @return {object} The normalized doclet.
+ */
+function normalizeDoclet(doclet, urls) {
+  let normalized = {};
+
+  PLAIN_PROPERTIES
+    .filter(property => doclet[property] !== undefined && doclet[property] !== '')
+    .forEach(property => normalized[property] = copy(doclet[property]));
+
+  normalized.url = urls[doclet.longname] || null;
+
+  if (doclet.signature) {
+    normalized.signature = plainSignature(doclet.signature);
+  }
+  if (doclet.attribs) {
+    normalized.attributes = powerSearchHelper.stripTags(doclet.attribs).replace(/^\(|\)$/g, '').split(/,\s*/).filter(Boolean);
+  }
+  if (doclet.type) {
+    normalized.type = normalizeType(doclet.type);
+  }
+  if (doclet.params) {
+    normalized.params = doclet.params.map(normalizeItem);
+  }
+  if (doclet.properties) {
+    normalized.properties = doclet.properties.map(normalizeItem);
+  }
+  if (doclet.returns) {
+    normalized.returns = doclet.returns.map(normalizeItem);
+  }
+  if (doclet.exceptions) {
+    normalized.exceptions = doclet.exceptions.map(normalizeItem);
+  }
+  if (doclet.examples) {
+    normalized.examples = doclet.examples.filter(Boolean).map(example => ({caption: example.caption, code: example.code}));
+  }
+  if (doclet.tutorials) {
+    normalized.tutorials = doclet.tutorials.slice();
+  }
+  if (doclet.modules) {
+    normalized.modules = doclet.modules.map(symbol => normalizeDoclet(symbol, urls));
+  }
+  if (doclet.meta) {
+    normalized.meta = {
+      path: doclet.meta.shortpath || doclet.meta.filename,
+      lineno: doclet.meta.lineno,
+      code: doclet.meta.code && doclet.meta.code.name ? {name: doclet.meta.code.name, type: doclet.meta.code.type} : undefined
+    };
+  }
+
+  return normalized;
+}
+
+// the signature as text, with the arrow before the return type and the ellipsis of repeatable params
+function plainSignature(signature) {
+  return powerSearchHelper.stripTags(signature).replace(/&rarr;/g, '→').replace(/&hellip;/g, '…');
+}
+
+function normalizeItem(item) {
+  let normalized = {};
+
+  ['name', 'description', 'optional', 'nullable', 'variable', 'defaultvalue']
+    .filter(property => item[property] !== undefined)
+    .forEach(property => normalized[property] = copy(item[property]));
+
+  if (item.type) {
+    normalized.type = normalizeType(item.type);
+  }
+  return normalized;
+}
+
+function normalizeType(type) {
+  return {names: (type.names || []).slice()};
+}
+
+function copy(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
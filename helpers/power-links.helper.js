@@ -0,0 +1,160 @@
+const catharsis = require('catharsis');
+
+// the types of the language and of the browsers, which have no page to link to
+const STANDARD_TYPES = [
+  '*', 'any', 'Array', 'ArrayBuffer', 'AsyncIterable', 'AsyncIterator', 'BigInt', 'Blob', 'Boolean', 'Buffer',
+  'DataView', 'Date', 'Document', 'Element', 'Error', 'Event', 'EventTarget', 'File', 'Float32Array', 'Float64Array',
+  'FormData', 'Function', 'Generator', 'HTMLElement', 'Int8Array', 'Int16Array', 'Int32Array', 'Iterable', 'Iterator',
+  'JSON', 'Map', 'Math', 'Node', 'NodeList', 'Number', 'Object', 'Promise', 'Proxy', 'RangeError', 'ReferenceError',
+  'RegExp', 'Request', 'Response', 'Set', 'String', 'Symbol', 'SyntaxError', 'TypeError', 'Uint8Array',
+  'Uint8ClampedArray', 'Uint16Array', 'Uint32Array', 'URL', 'WeakMap', 'WeakSet', 'Window', 'array', 'bigint', 'bool',
+  'boolean', 'double', 'float', 'function', 'int', 'integer', 'mixed', 'null', 'number', 'object', 'promise', 'string',
+  'symbol', 'undefined', 'void'
+];
+
+const INLINE_LINK = /\{@(?:link|linkcode|linkplain)\s+([^}]*)\}/g;
+
+// the text fields of a doclet, and of its params, properties, returns and exceptions, that may hold inline links
+const TEXT_FIELDS = ['classdesc', 'deprecated', 'description', 'readme', 'summary'];
+const TYPED_FIELDS = ['exceptions', 'params', 'properties', 'returns', 'yields'];
+
+module.exports = {
+  createChecker
+};
+
+/**
+ * Create the checker of the links of a build: inline links, type names and `@see`, `@augments` and `@requires`
+ * references that have no page to link to, which the templates would silently render as plain text.
+ * @param {object} urls The URL of every longname, `longnameToUrl` of the JSDoc template helper.
+ * @param {Array.<string>} ignored Targets to leave unchecked, a trailing `*` matches any end.
+ * @return {object} The checker, with `checkDoclet(doclet)`, `checkTutorial(name, content)` and `problems()`.
+ */
+function createChecker(urls, ignored) {
+  let checked = new Set();
+  let problems = [];
+
+  let isResolved = target => isUrl(target) || Object.prototype.hasOwnProperty.call(urls, target) ||
+    ignored.some(pattern => pattern.slice(-1) === '*' ? target.indexOf(pattern.slice(0, -1)) === 0 : target === pattern);
+
+  // once per place, inherited and mixed in members repeat the problems of the member they copy
+  let reported = new Set();
+  let report = (reference, target, origin, line) => {
+    let problem = {reference, target, longname: origin.longname, file: origin.file, line: line || origin.line};
+    let key = [problem.file, problem.line, reference, target].join('\n');
+
+    if (!isResolved(target) && !reported.has(key)) {
+      reported.add(key);
+      problems.push(problem);
+    }
+  };
+
+  let checkText = (text, origin, lineOf) => {
+    if (typeof text !== 'string') {
+      return;
+    }
+
+    let match;
+    INLINE_LINK.lastIndex = 0;
+    while ((match = INLINE_LINK.exec(text))) {
+      report('link', linkTarget(match[1]), origin, lineOf ? lineOf(match.index) : null);
+    }
+  };
+
+  let checkType = (type, origin) => {
+    ((type && type.names) || []).forEach(expression => {
+      typeNames(expression)
+        .filter(name => STANDARD_TYPES.indexOf(name) === -1)
+        .forEach(name => report('type', name, origin));
+    });
+  };
+
+  // longnames, or the inline links they were given as; free text is rendered as it is
+  let checkReferences = (reference, values, origin) => {
+    (values || []).forEach(value => {
+      if (typeof value !== 'string') {
+        return;
+      }
+      if (value.search(INLINE_LINK) > -1) {
+        checkText(value, origin);
+      } else if (!/\s/.test(value.trim())) {
+        report(reference, value.trim(), origin);
+      }
+    });
+  };
+
+  return {
+    checkDoclet: doclet => {
+      if (!doclet || checked.has(doclet)) {
+        return;
+      }
+      checked.add(doclet);
+
+      let origin = originOf(doclet);
+
+      TEXT_FIELDS.forEach(field => checkText(doclet[field], origin));
+      TYPED_FIELDS.forEach(field => (doclet[field] || []).forEach(item => {
+        checkText(item.description, origin);
+        checkType(item.type, origin);
+      }));
+      checkType(doclet.type, origin);
+
+      checkReferences('see', doclet.see, origin);
+      checkReferences('requires', doclet.requires, origin);
+      checkReferences('augments', doclet.augments, origin);
+    },
+    checkTutorial: (name, content) => {
+      let key = 'tutorial:' + name;
+
+      if (!checked.has(key)) {
+        checked.add(key);
+        checkText(content, {longname: key, file: name, line: null}, index => content.slice(0, index).split('\n').length);
+      }
+    },
+    problems: () => problems.slice()
+  };
+}
+
+function originOf(doclet) {
+  let meta = doclet.meta || {};
+
+  return {
+    longname: doclet.longname || doclet.kind,
+    file: meta.shortpath || meta.filename || null,
+    line: meta.lineno || null
+  };
+}
+
+// `{@link target text}` or `{@link target|text}`, as JSDoc splits them
+function linkTarget(text) {
+  let split = text.indexOf('|') > -1 ? text.indexOf('|') : text.search(/\s/);
+
+  return (split > -1 ? text.slice(0, split) : text).trim();
+}
+
+// `http(s)://` and `ftp(s)://` links are left as they are, so are anchors and relative paths
+function isUrl(target) {
+  return /^(http|ftp)s?:\/\//.test(target) || /^(mailto:|#|\.{0,2}\/)/.test(target);
+}
+
+// the names an expression like `Array.<(Foo|Bar)>` refers to
+function typeNames(expression) {
+  let names = [];
+  let visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if (node.type === 'NameExpression') {
+        names.push(node.name);
+      }
+      // the keys of a record type are names of fields, not of types
+      Object.keys(node).filter(key => !(node.type === 'FieldType' && key === 'key')).forEach(key => visit(node[key]));
+    }
+  };
+
+  try {
+    visit(catharsis.parse(expression, {jsdoc: true}));
+  } catch (e) {
+    // JSDoc already reported it when parsing the sources
+  }
+  return names;
+}
@@ -0,0 +1,261 @@
+const jsdocTemplateHelper = require('jsdoc/util/templateHelper');
+const powerTemplateHelper = require('./power-template.helper');
+const util = require('util');
+
+const PAGE_TITLES = {
+  class: 'Class',
+  external: 'External',
+  interface: 'Interface',
+  mixin: 'Mixin',
+  module: 'Module',
+  namespace: 'Namespace'
+};
+
+module.exports = {
+  buildSignature,
+  renderIndex,
+  renderPage,
+  rewriteLinks,
+  toMarkdownFilename
+};
+
+/**
+ * Build the signature of a doclet the same way `buildSignatures` of the template does, on a copy,
+ * and turn it into Markdown.
+ * @param {object} doclet The doclet.
+ * @return {string} The signature, empty when the doclet has none.
+ */
+function buildSignature(doclet) {
+  let copy = Object.assign({}, doclet, {signature: ''});
+
+  if (powerTemplateHelper.needsSignature(copy)) {
+    powerTemplateHelper.addSignatureParams(copy);
+    powerTemplateHelper.addSignatureReturns(copy);
+  } else if (['member', 'constant', 'typedef'].indexOf(copy.kind) > -1) {
+    powerTemplateHelper.addSignatureTypes(copy);
+  } else {
+    return '';
+  }
+
+  return fragment(copy.signature);
+}
+
+/**
+ * Render the Markdown page of a class, module, namespace, mixin, interface or external.
+ * @param {object} doclet The doclet owning the page.
+ * @param {function} find Looks doclets up, like `find` of the template.
+ * @return {string} The Markdown, links still pointing to the HTML pages (see {@link rewriteLinks}).
+ */
+function renderPage(doclet, find) {
+  let lines = [];
+  let isModule = doclet.kind === 'module';
+
+  lines.push(util.format('# %s: %s', PAGE_TITLES[doclet.kind], escape(doclet.name.replace(/^module:/, ''))), '');
+
+  if (doclet.classdesc) {
+    lines.push(block(doclet.classdesc), '');
+  }
+  if (doclet.description && (isModule || doclet.kind !== 'class')) {
+    lines.push(block(doclet.description), '');
+  }
+
+  renderList(lines, 'Extends', doclet.augments);
+  renderList(lines, 'Mixes In', doclet.mixes);
+  renderList(lines, 'Implements', doclet.implements);
+  renderList(lines, 'Requires', doclet.requires);
+
+  if (doclet.kind === 'class') {
+    lines.push('## Constructor', '');
+    renderSymbol(lines, doclet, 'new ');
+  }
+  (isModule && doclet.modules || [])
+    .filter(symbol => symbol.kind !== 'module')
+    .forEach(symbol => renderSymbol(lines, symbol, symbol.kind === 'class' ? 'new ' : ''));
+
+  renderSection(lines, 'Classes', find({kind: 'class', memberof: doclet.longname}), renderSummary);
+  renderSection(lines, 'Mixins', find({kind: 'mixin', memberof: doclet.longname}), renderSummary);
+  renderSection(lines, 'Namespaces', find({kind: 'namespace', memberof: doclet.longname}), renderSummary);
+  renderSection(lines, 'Members', find({kind: 'member', memberof: doclet.longname}), renderSymbol);
+  renderSection(lines, 'Methods', find({kind: 'function', memberof: doclet.longname}), renderSymbol);
+  renderSection(lines, 'Type Definitions', find({kind: 'typedef', memberof: doclet.longname}), renderSymbol);
+  renderSection(lines, 'Events', find({kind: 'event', memberof: doclet.longname}), renderSymbol);
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Render the entry page listing every Markdown page.
+ * @param {string} title The title of the documentation.
+ * @param {Array.<object>} pages The `{kind, name, filename}` of every page.
+ * @return {string} The Markdown.
+ */
+function renderIndex(title, pages) {
+  let lines = ['# ' + escape(title), ''];
+
+  Object.keys(PAGE_TITLES).forEach(kind => {
+    let ofKind = pages.filter(page => page.kind === kind);
+
+    if (ofKind.length) {
+      lines.push('## ' + PAGE_TITLES[kind] + (ofKind.length > 1 ? (kind === 'class' ? 'es' : 's') : ''), '');
+      ofKind.forEach(page => lines.push(util.format('- [%s](%s)', escape(page.name), page.filename)));
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Point the links of the HTML pages to their Markdown counterparts. Links to anything else that
+ * the template generates (source files, tutorials, ...) are reduced to their text.
+ * @param {string} markdown The Markdown, with `{@link}` tags already resolved.
+ * @param {Object.<string, boolean>} htmlPages The HTML file names that have a Markdown page.
+ * @return {string} The Markdown with rewritten links.
+ */
+function rewriteLinks(markdown, htmlPages) {
+  return markdown.replace(/<a href="([^"#]*)(#[^"]*)?"[^>]*>([\s\S]*?)<\/a>/g, (match, file, hash, text) => {
+    if (!file) {
+      return match;
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(file) || /^\/\//.test(file)) {
+      return match;
+    }
+    if (htmlPages[file]) {
+      return util.format('<a href="%s%s">%s</a>', toMarkdownFilename(file), hash || '', text);
+    }
+    return text;
+  });
+}
+
+function toMarkdownFilename(htmlFilename) {
+  return htmlFilename.replace(/\.html$/, '.md');
+}
+
+function renderSection(lines, heading, doclets, renderFn) {
+  if (doclets && doclets.length) {
+    lines.push('## ' + heading, '');
+    doclets.forEach(doclet => renderFn(lines, doclet, ''));
+  }
+}
+
+function renderSummary(lines, doclet) {
+  lines.push(util.format('- %s%s', powerTemplateHelper.linkto(doclet.longname, escape(doclet.name)),
+    doclet.summary ? ' &mdash; ' + inline(doclet.summary) : ''));
+  lines.push('');
+}
+
+function renderSymbol(lines, doclet, prefix) {
+  let signature = buildSignature(doclet);
+
+  lines.push(util.format('<a id="%s"></a>', doclet.id || doclet.name), '');
+  lines.push(util.format('### %s%s%s', prefix || '', escape(doclet.name), signature), '');
+
+  if (doclet.deprecated) {
+    lines.push('**Deprecated**' + (doclet.deprecated === true ? '' : ': ' + inline(doclet.deprecated)), '');
+  }
+  if (doclet.description && doclet.kind !== 'module') {
+    lines.push(block(doclet.description), '');
+  }
+
+  renderItems(lines, 'Parameters', doclet.params);
+  renderItems(lines, 'Properties', doclet.properties);
+  renderReturns(lines, 'Returns', doclet.returns);
+  renderReturns(lines, 'Throws', doclet.exceptions);
+  renderList(lines, 'Fires', doclet.fires);
+  renderList(lines, 'Listens to', doclet.listens);
+
+  (doclet.examples || []).filter(Boolean).forEach(example => {
+    lines.push('**Example**' + (example.caption ? ': ' + inline(example.caption) : ''), '');
+    lines.push('```js', example.code, '```', '');
+  });
+}
+
+function renderItems(lines, heading, items) {
+  if (!items || !items.length) {
+    return;
+  }
+
+  let hasDefault = items.some(item => item.defaultvalue !== undefined);
+
+  lines.push(util.format('**%s**', heading), '');
+  lines.push('| Name | Type | Attributes |' + (hasDefault ? ' Default |' : '') + ' Description |');
+  lines.push('| --- | --- | --- |' + (hasDefault ? ' --- |' : '') + ' --- |');
+
+  items.forEach(item => {
+    let attributes = powerTemplateHelper.getSignatureAttributes(item);
+    if (item.variable) {
+      attributes.push('repeatable');
+    }
+
+    lines.push(util.format('| %s | %s | %s |%s %s |',
+      cell(escape(item.name || '')),
+      cell(types(item)),
+      attributes.join(', '),
+      hasDefault ? ' ' + cell(item.defaultvalue === undefined ? '' : '`' + item.defaultvalue + '`') + ' |' : '',
+      cell(inline(item.description))));
+  });
+
+  lines.push('');
+}
+
+function renderReturns(lines, heading, items) {
+  if (!items || !items.length) {
+    return;
+  }
+
+  lines.push(util.format('**%s**', heading), '');
+  items.forEach(item => {
+    let type = types(item);
+    lines.push('- ' + [type, inline(item.description)].filter(Boolean).join(' &mdash; '));
+  });
+  lines.push('');
+}
+
+function renderList(lines, heading, longnames) {
+  if (!longnames || !longnames.length) {
+    return;
+  }
+
+  lines.push(util.format('**%s**', heading), '');
+  longnames.forEach(longname => lines.push('- ' + powerTemplateHelper.linkto(longname, escape(longname))));
+  lines.push('');
+}
+
+function types(item) {
+  return fragment(powerTemplateHelper.buildItemTypeStrings(item).join(' | '));
+}
+
+// an HTML block (descriptions are HTML already), kept apart from the Markdown around it
+function block(html) {
+  return String(html).trim();
+}
+
+// HTML that has to stay on a single line, e.g. in a table cell or a list item
+function inline(html) {
+  return String(html || '').replace(/<\/?p>/g, ' ').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+// the HTML of a signature, reduced to what Markdown renders
+function fragment(html) {
+  return html
+    .replace(/<span class="signature-attributes">([\s\S]*?)<\/span>/g, '<sub>$1</sub>')
+    .replace(/<\/?span[^>]*>/g, '')
+    .replace(/&rarr;/g, '→')
+    .split(/(<[^>]+>)/)
+    .map((part, i) => i % 2 ? part : escapeMarkdown(part))
+    .join('');
+}
+
+// plain text, e.g. a name
+function escape(text) {
+  return escapeMarkdown(jsdocTemplateHelper.htmlsafe(String(text)));
+}
+
+// text that is HTML already
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]{}])/g, '\\$1');
+}
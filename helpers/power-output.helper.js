@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+const powerVersionsHelper = require('./power-versions.helper');
+
+const diagnostics = powerDiagnosticsHelper.channel('output');
+
+// `flat` writes to the destination itself
+const FLAT_LAYOUT = 'flat';
+
+const LAYOUT_PLACEHOLDERS = ['major', 'name', 'version'];
+
+// at the root of the destination, the version the `latest` alias holds
+const LATEST_RECORD = '.powermode-latest.json';
+
+module.exports = {
+  FLAT_LAYOUT,
+  LAYOUT_PLACEHOLDERS,
+  LATEST_RECORD,
+  aliasPath,
+  expandLayout,
+  updateLatestAlias
+};
+
+/**
+ * Expand the `output.layout` setting for a package.
+ * @param {string} layout The layout, e.g. `{name}/{version}`, or `flat`.
+ * @param {object} packageInfo The `package` doclet.
+ * @return {string} The path of the documentation, relative to the destination, `''` for the destination itself.
+ */
+function expandLayout(layout, packageInfo) {
+  let version = packageInfo.version || '';
+  let values = {
+    major: version.replace(/^v/, '').split('.')[0],
+    name: packageInfo.name || '',
+    version
+  };
+
+  if (layout === FLAT_LAYOUT) {
+    return '';
+  }
+  return layout
+    .replace(/\{(\w+)\}/g, (placeholder, key) => values[key])
+    .split('/')
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * The layout of the `latest` alias: the layout up to its first segment holding the version, named `latest`,
+ * so `{name}/{version}` gives `{name}/latest` and `v{major}/{version}` gives `latest`.
+ * @param {string} layout The layout.
+ * @return {?string} The layout of the alias, `null` when the layout does not depend on the version.
+ */
+function aliasPath(layout) {
+  let segments = layout.split('/');
+  let first = segments.findIndex(segment => /\{(major|version)\}/.test(segment));
+
+  return layout !== FLAT_LAYOUT && first > -1 ? segments.slice(0, first).concat(['latest']).join('/') : null;
+}
+
+/**
+ * Point the `latest` alias at the documentation just written, unless it holds a later version, releases
+ * coming after pre-releases like in `versions.json`.
+ * @param {string} root The destination given to JSDoc.
+ * @param {string} alias The path of the alias, relative to `root`.
+ * @param {string} outdir The documentation just written.
+ * @param {string} version Its version.
+ * @param {string} mode `copy` or `symlink`.
+ * @return {boolean} Whether the alias was updated.
+ */
+function updateLatestAlias(root, alias, outdir, version, mode) {
+  let target = path.join(root, alias);
+  let record = readRecord(root);
+
+  if (record && record.alias === alias && fs.existsSync(path.join(root, record.path)) &&
+      powerVersionsHelper.latestVersion([record.version, version]) !== version) {
+    diagnostics.info('%s stays on %s, which is later than %s', alias, record.version, version);
+    return false;
+  }
+
+  fs.rmSync(target, {recursive: true, force: true});
+  fs.mkdirSync(path.dirname(target), {recursive: true});
+
+  if (mode === 'symlink') {
+    fs.symlinkSync(path.relative(path.dirname(target), outdir), target, 'dir');
+  } else {
+    copyDirectory(outdir, target);
+  }
+
+  let updated = {alias, path: path.relative(root, outdir).split(path.sep).join('/'), version};
+  fs.writeFileSync(path.join(root, LATEST_RECORD), JSON.stringify(updated, null, 2), 'utf8');
+  diagnostics.info('%s now holds %s (%s)', alias, version, mode);
+  return true;
+}
+
+function readRecord(root) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(root, LATEST_RECORD), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function copyDirectory(from, to) {
+  fs.mkdirSync(to, {recursive: true});
+  fs.readdirSync(from).forEach(name => {
+    let source = path.join(from, name);
+
+    if (fs.statSync(source).isDirectory()) {
+      copyDirectory(source, path.join(to, name));
+    } else {
+      fs.copyFileSync(source, path.join(to, name));
+    }
+  });
+}
@@ -0,0 +1,136 @@
+/* global env: true */
+
+const jsdocTemplateHelper = require('jsdoc/util/templateHelper');
+const path = require('path');
+const powerTemplateHelper = require('./power-template.helper');
+const powerThemeHelper = require('./power-theme.helper');
+const taffy = require('taffydb').taffy;
+const util = require('util');
+const workerThreads = require('worker_threads');
+
+// the properties of a jsdoc/template Template that the worker rebuilds on its own
+const VIEW_INTERNALS = ['cache', 'path', 'settings', 'themePath'];
+
+module.exports = {
+  createSetup,
+  renderJobs,
+  renderPages,
+  unsupportedReason
+};
+
+/**
+ * Tell why the pages cannot be rendered in worker threads.
+ * @param {object} view The view of the template, helpers assigned.
+ * @return {?string} The reason, `null` when the pages can be rendered in workers.
+ */
+function unsupportedReason(view) {
+  let known = Object.keys(powerTemplateHelper.viewHelpers());
+  let helpers = Object.keys(view).filter(key => typeof view[key] === 'function' && known.indexOf(key) === -1);
+
+  if (helpers.length) {
+    return util.format('the templates use helpers that cannot be sent to a worker (%s)', helpers.join(', '));
+  }
+  return null;
+}
+
+/**
+ * Gather what a worker needs to render the pages like the main thread does.
+ * @param {object} input The `doclets`, the `urls` (`longnameToUrl`), the `tutorials` (`{name, title, url}`) and the `view`.
+ * @return {object} The setup, sent to every worker.
+ */
+function createSetup(input) {
+  let view = {};
+
+  Object.keys(input.view)
+    .filter(key => typeof input.view[key] !== 'function' && VIEW_INTERNALS.indexOf(key) === -1)
+    .forEach(key => view[key] = input.view[key]);
+
+  return {
+    doclets: input.doclets,
+    env: {conf: env.conf, dirname: env.dirname, opts: env.opts, pwd: env.pwd, version: env.version},
+    longnameToUrl: Object.assign({}, input.urls),
+    templatePath: input.view.path,
+    themePath: input.view.themePath || null,
+    tutorials: input.tutorials,
+    view
+  };
+}
+
+/**
+ * Render `container.tmpl` pages in worker threads, the jobs being dealt round-robin to the workers.
+ * @param {object} setup The setup of {@link createSetup}.
+ * @param {Array.<object>} jobs The `{type, title, docs, resolveLinks}` of every page, `docs` being
+ *                              indexes into `setup.doclets`.
+ * @param {number} workers The number of workers.
+ * @return {Promise.<Array.<string>>} The HTML of every page, in the order of `jobs`.
+ */
+function renderPages(setup, jobs, workers) {
+  let batches = [];
+
+  for (let i = 0; i < Math.min(workers, jobs.length); i++) {
+    batches.push([]);
+  }
+  jobs.forEach((job, i) => batches[i % batches.length].push(Object.assign({index: i}, job)));
+
+  return Promise.all(batches.map(batch => runWorker(setup, batch))).then(results => {
+    let pages = new Array(jobs.length);
+
+    results.forEach(rendered => rendered.forEach(page => pages[page.index] = page.html));
+    return pages;
+  });
+}
+
+function runWorker(setup, jobs) {
+  return new Promise((resolve, reject) => {
+    // throws a DataCloneError when the doclets hold something that cannot be sent
+    let worker = new workerThreads.Worker(path.join(__dirname, 'power-parallel.worker.js'), {workerData: {setup, jobs}});
+
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) {
+        reject(new Error(util.format('a render worker stopped with exit code %d', code)));
+      }
+    });
+  });
+}
+
+/**
+ * Render the jobs of a worker, in the worker, once `env` is restored from the setup. The registries
+ * of `jsdoc/util/templateHelper` are rebuilt first, so links and tutorials resolve as in the main thread.
+ * @param {object} setup The setup of {@link createSetup}.
+ * @param {Array.<object>} jobs The jobs of {@link renderPages}, with their `index`.
+ * @return {Array.<object>} The `{index, html}` of every job.
+ */
+function renderJobs(setup, jobs) {
+  let data = taffy(setup.doclets);
+  let tutorials = {};
+
+  Object.keys(setup.longnameToUrl).forEach(longname => jsdocTemplateHelper.registerLink(longname, setup.longnameToUrl[longname]));
+
+  setup.tutorials.forEach(tutorial => tutorials[tutorial.name] = tutorial);
+  jsdocTemplateHelper.setTutorials({getByName: name => tutorials[name]});
+
+  // the main thread may have deduplicated some tutorial file names, which cannot be replayed here
+  setup.tutorials.forEach(tutorial => {
+    if (jsdocTemplateHelper.tutorialToUrl(tutorial.name) !== tutorial.url) {
+      throw new Error(util.format('the tutorial "%s" is not named %s in the worker', tutorial.name, tutorial.url));
+    }
+  });
+
+  let view = powerThemeHelper.createView(setup.templatePath, setup.themePath);
+  Object.assign(view, setup.view, powerTemplateHelper.viewHelpers(spec => jsdocTemplateHelper.find(data, spec)));
+
+  return jobs.map(job => {
+    let html = view.render('container.tmpl', {
+      type: job.type,
+      title: job.title,
+      docs: job.docs.map(index => setup.doclets[index])
+    });
+
+    if (job.resolveLinks) {
+      html = jsdocTemplateHelper.resolveLinks(html); // turn {@link foo} into <a href="foodoc.html">foo</a>
+    }
+    return {index: job.index, html};
+  });
+}
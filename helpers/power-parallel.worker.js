@@ -0,0 +1,22 @@
+// the entry of the render workers of power-parallel.helper, see renderPages
+const path = require('path');
+const workerThreads = require('worker_threads');
+
+const jsdocDirname = workerThreads.workerData.setup.env.dirname;
+
+// resolve `jsdoc/*` and JSDoc's own dependencies the way JSDoc does for templates, for every module
+// loaded through it and, infected, by the modules it loads
+const requireTemplate = require(require.resolve('requizzle', {paths: [jsdocDirname]}))({
+  requirePaths: {
+    before: [path.join(jsdocDirname, 'lib')],
+    after: [path.join(jsdocDirname, 'node_modules')]
+  },
+  infect: true
+});
+
+// the tag dictionary reads the configuration when it loads, before the helpers do
+global.env = Object.assign(requireTemplate(path.join(jsdocDirname, 'lib', 'jsdoc', 'env')), workerThreads.workerData.setup.env);
+
+const powerParallelHelper = requireTemplate('./power-parallel.helper');
+
+workerThreads.parentPort.postMessage(powerParallelHelper.renderJobs(workerThreads.workerData.setup, workerThreads.workerData.jobs));
@@ -0,0 +1,106 @@
+/* global env: true */
+
+const fs = require('fs');
+const path = require('path');
+const powerConfiguratorHelper = require('./power-configurator.helper');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+const util = require('util');
+
+const diagnostics = powerDiagnosticsHelper.channel('plugins');
+
+const BUNDLED_DIRECTORY = path.join(__dirname, '..', 'plugins');
+
+// in the order publish runs them
+const HOOKS = ['beforePrune', 'afterSignatures', 'beforeNav', 'renderPage', 'afterWrite'];
+
+module.exports = {
+  BUNDLED_DIRECTORY,
+  HOOKS,
+  load,
+  resolvePlugin
+};
+
+/**
+ * Load the powerMode plugins. A plugin is a module exporting some of the {@link HOOKS}; one that
+ * cannot be loaded is reported and left out, the others still run.
+ * @param {Array.<string>} names Names of bundled plugins (`plugins/power-<name>.plugin.js`) or paths
+ *                               to modules, relative to the working directory of JSDoc.
+ * @return {object} The `run`, `render` and `sources` functions of the loaded plugins.
+ */
+function load(names) {
+  let plugins = names
+    .map(name => loadPlugin(name))
+    .filter(Boolean);
+
+  return {
+    // every plugin in turn gets the context, which it may change; `renderPage` goes through `render`
+    run: (hook, context) => {
+      plugins.forEach(plugin => call(plugin, hook, [context]));
+      return context;
+    },
+    // the HTML of a page, as changed by every plugin in turn
+    render: (html, page) => plugins.reduce((current, plugin) => {
+      let changed = call(plugin, 'renderPage', [current, page]);
+      return typeof changed === 'string' ? changed : current;
+    }, html),
+    // the code of the plugins, part of what every output depends on
+    sources: () => plugins.map(plugin => fs.readFileSync(plugin.path, 'utf8'))
+  };
+}
+
+/**
+ * Find the module of a plugin.
+ * @param {string} name The name of a bundled plugin or a path.
+ * @return {string} The absolute path of the module.
+ */
+function resolvePlugin(name) {
+  let bundled = path.join(BUNDLED_DIRECTORY, util.format('power-%s.plugin.js', name));
+
+  if (/^[\w-]+$/.test(name) && fs.existsSync(bundled)) {
+    return bundled;
+  }
+  return require.resolve(path.resolve((env && env.pwd) || process.cwd(), name));
+}
+
+function loadPlugin(name) {
+  let plugin;
+
+  try {
+    let modulePath = resolvePlugin(name);
+    plugin = {name, path: modulePath, hooks: require(modulePath)};
+  } catch (e) {
+    diagnostics.error('Unable to load the plugin %s: %s', name, e.message.split('\n')[0]);
+    return null;
+  }
+
+  let exported = Object.keys(plugin.hooks || {}).filter(key => typeof plugin.hooks[key] === 'function');
+  let hooks = exported.filter(key => HOOKS.indexOf(key) > -1);
+
+  exported
+    .filter(key => HOOKS.indexOf(key) === -1)
+    .forEach(key => {
+      let suggestion = powerConfiguratorHelper.suggest(key, HOOKS);
+      diagnostics.warn('The plugin %s exports %s, which is not a hook%s', name, key,
+        suggestion ? util.format(', did you mean "%s"?', suggestion) : '');
+    });
+
+  if (!hooks.length) {
+    diagnostics.warn('The plugin %s exports none of the hooks %s', name, HOOKS.join(', '));
+  }
+  diagnostics.debug('Loaded the plugin %s from %s, hooks: %s', name, plugin.path, hooks.join(', ') || 'none');
+  return plugin;
+}
+
+// a failing hook is reported and skipped, so one plugin cannot stop the build
+function call(plugin, hook, args) {
+  if (typeof plugin.hooks[hook] !== 'function') {
+    return undefined;
+  }
+
+  try {
+    return plugin.hooks[hook](...args);
+  } catch (e) {
+    diagnostics.error('The %s hook of the plugin %s failed: %s', hook, plugin.name, e.message);
+    return undefined;
+  }
+}
@@ -0,0 +1,165 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+const util = require('util');
+
+const diagnostics = powerDiagnosticsHelper.channel('reproducible');
+
+// set for the second build of the self-check, which writes there and checks nothing
+const CHECK_DESTINATION = 'POWERMODE_REPRODUCIBLE_DESTINATION';
+
+module.exports = {
+  CHECK_DESTINATION,
+  compareDirectories,
+  destination,
+  isCheckBuild,
+  orderDoclets,
+  runCheck,
+  sourceDate
+};
+
+function isCheckBuild() {
+  return !!process.env[CHECK_DESTINATION];
+}
+
+/**
+ * The destination of the build, the temporary one in the second build of the self-check.
+ * @param {string} configured The destination given to JSDoc.
+ * @return {string} The destination.
+ */
+function destination(configured) {
+  return process.env[CHECK_DESTINATION] || configured;
+}
+
+/**
+ * The date of the build, `SOURCE_DATE_EPOCH` when it is set, see <https://reproducible-builds.org/specs/source-date-epoch/>.
+ * @param {boolean} reproducible Whether the build must not depend on the clock.
+ * @return {?Date} The date, `null` when a reproducible build has no `SOURCE_DATE_EPOCH`.
+ */
+function sourceDate(reproducible) {
+  let epoch = process.env.SOURCE_DATE_EPOCH;
+
+  if (epoch !== undefined && epoch !== '') {
+    if (/^\d+$/.test(epoch)) {
+      return new Date(Number(epoch) * 1000);
+    }
+    diagnostics.warn('SOURCE_DATE_EPOCH must be a number of seconds, got "%s", it is ignored', epoch);
+  }
+
+  if (reproducible) {
+    diagnostics.debug('No SOURCE_DATE_EPOCH, the pages show no build date');
+    return null;
+  }
+  return new Date();
+}
+
+/**
+ * Put the doclets in an order that only depends on the sources: by file, position and longname. The urls,
+ * the nav and every list of members follow it, whatever order the files were given and parsed in.
+ * @param {Array.<object>} doclets The doclets.
+ * @return {Array.<object>} A sorted copy.
+ */
+function orderDoclets(doclets) {
+  return doclets
+    .map((doclet, index) => ({doclet, index, key: sourceKey(doclet)}))
+    .sort((a, b) => compareKeys(a.key, b.key) || a.index - b.index)
+    .map(entry => entry.doclet);
+}
+
+// compared by code unit, a locale-aware comparison could differ from one machine to the next
+function sourceKey(doclet) {
+  let meta = doclet.meta || {};
+
+  return [
+    meta.path && meta.filename ? path.join(meta.path, meta.filename) : '',
+    meta.lineno || 0,
+    meta.columnno || 0,
+    doclet.longname || '',
+    doclet.kind || ''
+  ];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Run the same JSDoc command a second time, into a temporary destination, and compare what it wrote with
+ * the first build.
+ * @param {string} configured The destination given to JSDoc.
+ * @param {string} outdir Where the first build wrote the documentation, in `configured`.
+ * @param {Array.<string>} ignored Paths, relative to `outdir`, that may differ between builds.
+ * @return {Promise.<object>} The result of {@link compareDirectories}.
+ */
+function runCheck(configured, outdir, ignored) {
+  let checkDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'powermode-check-'));
+  let removeCheckDirectory = () => fs.rmSync(checkDirectory, {recursive: true, force: true});
+
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    let child = childProcess.spawn(process.execPath, process.execArgv.concat(process.argv.slice(1)), {
+      cwd: process.cwd(),
+      env: Object.assign({}, process.env, {[CHECK_DESTINATION]: checkDirectory}),
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+
+    child.stderr.on('data', chunk => stderr += chunk);
+    child.once('error', reject);
+    child.once('close', code => {
+      if (code !== 0) {
+        let lines = stderr.trim().split('\n');
+        reject(new Error(util.format('the second build exited with code %d: %s', code, lines[lines.length - 1] || 'no output')));
+      } else {
+        resolve(compareDirectories(path.join(checkDirectory, path.relative(configured, outdir)), outdir, ignored));
+      }
+    });
+  }).then(result => {
+    removeCheckDirectory();
+    return result;
+  }, e => {
+    removeCheckDirectory();
+    throw e;
+  });
+}
+
+/**
+ * Compare every file of `expected` with the one of the same path in `actual`. Files that only exist in `actual`
+ * are left out, they may come from earlier builds into the same destination.
+ * @param {string} expected The directory of the second build.
+ * @param {string} actual The directory of the first build.
+ * @param {Array.<string>} ignored Relative paths to leave out.
+ * @return {object} The number of files `compared` and the `differences`, as `{file, reason}`.
+ */
+function compareDirectories(expected, actual, ignored) {
+  let differences = [];
+  let files = listFiles(expected, '').filter(file => ignored.indexOf(file) === -1);
+
+  files.forEach(file => {
+    let actualPath = path.join(actual, file);
+
+    if (!fs.existsSync(actualPath)) {
+      differences.push({file, reason: 'only written by the second build'});
+    } else if (!fs.readFileSync(actualPath).equals(fs.readFileSync(path.join(expected, file)))) {
+      differences.push({file, reason: 'different content'});
+    }
+  });
+
+  return {compared: files.length, differences};
+}
+
+function listFiles(directory, prefix) {
+  return fs.readdirSync(directory).sort().reduce((files, name) => {
+    let relative = prefix ? prefix + '/' + name : name;
+
+    return fs.statSync(path.join(directory, name)).isDirectory()
+      ? files.concat(listFiles(path.join(directory, name), relative))
+      : files.concat([relative]);
+  }, []);
+}
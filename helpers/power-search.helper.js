@@ -0,0 +1,165 @@
+const util = require('util');
+
+const EXCERPT_LENGTH = 240;
+const FULL_TEXT_FIELDS = ['name', 'description', 'params', 'returns', 'examples', 'tutorial'];
+const INDEXED_KINDS = ['class', 'constant', 'event', 'external', 'function', 'interface', 'member', 'mixin', 'module', 'namespace', 'typedef'];
+const SUMMARY_LENGTH = 160;
+
+module.exports = {
+  FULL_TEXT_FIELDS,
+  buildFullTextIndex,
+  buildSymbolIndex,
+  stripTags,
+  summarize,
+  toScript,
+  tokenize
+};
+
+/**
+ * Build the full-text index used by the search page. Term scores are weighted per field at build
+ * time, so the page only has to add them up.
+ * @param {Array.<object>} doclets The doclets, after the signatures were built.
+ * @param {Array.<object>} tutorials The tutorials, flattened.
+ * @param {object} urls The `longnameToUrl` map and the `tutorialToUrl` function.
+ * @param {object} weights The weight of every field of {@link FULL_TEXT_FIELDS}.
+ * @return {object} The `{documents, terms}` index, where `documents` holds `[title, url, kind, excerpt]`
+ *                  tuples and `terms` maps every term to flattened `[document, score]` pairs.
+ */
+function buildFullTextIndex(doclets, tutorials, urls, weights) {
+  let documents = [];
+  let terms = {};
+
+  indexableDoclets(doclets, urls.longnameToUrl).forEach(doclet => {
+    addDocument(documents, terms, weights, {
+      title: doclet.longname.replace(/^module:/, ''),
+      url: urls.longnameToUrl[doclet.longname],
+      kind: doclet.kind,
+      excerpt: excerpt(doclet.description || doclet.classdesc || doclet.summary),
+      fields: {
+        name: [doclet.name, doclet.longname],
+        description: [doclet.summary, doclet.description, doclet.classdesc].map(stripTags),
+        params: describeItems(doclet.params).concat(describeItems(doclet.properties)),
+        returns: describeItems(doclet.returns),
+        examples: (doclet.examples || []).filter(Boolean).map(example => example.caption + ' ' + example.code)
+      }
+    });
+  });
+
+  tutorials.forEach(tutorial => {
+    let content = stripTags(tutorial.parse());
+
+    addDocument(documents, terms, weights, {
+      title: tutorial.title,
+      url: urls.tutorialToUrl(tutorial.name),
+      kind: 'tutorial',
+      excerpt: excerpt(content),
+      fields: {
+        name: [tutorial.title, tutorial.name],
+        tutorial: [content]
+      }
+    });
+  });
+
+  return {documents, terms};
+}
+
+/**
+ * Build the symbol index used by the search box of the layout.
+ * @param {Array.<object>} doclets The doclets, after the signatures were built.
+ * @param {object} longnameToUrl The url of every registered longname.
+ * @return {Array.<object>} One `{name, longname, kind, summary, url}` entry per linkable symbol.
+ */
+function buildSymbolIndex(doclets, longnameToUrl) {
+  return indexableDoclets(doclets, longnameToUrl).map(doclet => ({
+    name: doclet.name,
+    longname: doclet.longname,
+    kind: doclet.kind,
+    summary: summarize(doclet.summary || doclet.description || doclet.classdesc),
+    url: longnameToUrl[doclet.longname]
+  }));
+}
+
+// lowercased words of two characters or more, identifiers included
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_$\u00c0-\uffff]+/)
+    .filter(token => token.length > 1);
+}
+
+function stripTags(html) {
+  return String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// the first sentence of the text, without markup
+function summarize(html) {
+  let text = stripTags(html);
+  let sentence = text.match(/^.+?[.!?](\s|$)/);
+
+  text = sentence ? sentence[0].trim() : text;
+  return text.length > SUMMARY_LENGTH ? text.slice(0, SUMMARY_LENGTH - 1).trim() + '…' : text;
+}
+
+// a script instead of a .json file, so the index also loads from file:// where XHR is blocked
+function toScript(globalName, payload) {
+  return util.format('window.%s = %s;\n', globalName, JSON.stringify(payload));
+}
+
+function addDocument(documents, terms, weights, document) {
+  let id = documents.length;
+  let scores = {};
+
+  documents.push([document.title, document.url, document.kind, document.excerpt]);
+
+  Object.keys(document.fields).forEach(field => {
+    let weight = weights[field] || 0;
+
+    document.fields[field].forEach(text => tokenize(text).forEach(token => {
+      scores[token] = (scores[token] || 0) + weight;
+    }));
+  });
+
+  Object.keys(scores)
+    .filter(token => scores[token] > 0)
+    .forEach(token => {
+      terms[token] = terms[token] || [];
+      terms[token].push(id, scores[token]);
+    });
+}
+
+function describeItems(items) {
+  return (items || []).map(item => [
+    item.name,
+    stripTags(item.description),
+    item.type && item.type.names ? item.type.names.join(' ') : ''
+  ].join(' '));
+}
+
+// the first doclet of every linkable longname
+function indexableDoclets(doclets, longnameToUrl) {
+  let seen = {};
+
+  return doclets
+    .filter(doclet => INDEXED_KINDS.indexOf(doclet.kind) > -1 && !doclet.undocumented && longnameToUrl[doclet.longname])
+    .filter(doclet => {
+      if (seen[doclet.longname]) {
+        return false;
+      }
+      seen[doclet.longname] = true;
+      return true;
+    });
+}
+
+function excerpt(html) {
+  let text = stripTags(html);
+  return text.length > EXCERPT_LENGTH ? text.slice(0, EXCERPT_LENGTH - 1).trim() + '…' : text;
+}
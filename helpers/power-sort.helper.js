@@ -0,0 +1,111 @@
+/* global env: true */
+
+const path = require('path');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+const powerVersionsHelper = require('./power-versions.helper');
+
+const diagnostics = powerDiagnosticsHelper.channel('sort');
+
+const KIND_ORDER = ['module', 'namespace', 'class', 'interface', 'mixin', 'external', 'event', 'typedef', 'member', 'constant', 'function'];
+
+const STRATEGIES = {
+  alphabetical: byName,
+  kind: (a, b) => compareKinds(a, b) || byName(a, b),
+  longname: (a, b) => compareValues(a.longname, b.longname) || compareValues(a.version, b.version) || compareValues(a.since, b.since),
+  none: () => 0,
+  since: (a, b) => compareSince(a.since, b.since) || byName(a, b),
+  source: (a, b) => compareValues(sourcePath(a), sourcePath(b)) || compareValues(sourceLine(a), sourceLine(b)) || byName(a, b)
+};
+
+module.exports = {
+  STRATEGIES,
+  createComparator,
+  sortDoclets
+};
+
+/**
+ * Build the comparator for a strategy resolved by the configurator.
+ * @param {object} sort The resolved `{strategy, comparator}` pair.
+ * @return {function} A comparator for doclets.
+ */
+function createComparator(sort) {
+  if (sort.strategy !== 'custom') {
+    return STRATEGIES[sort.strategy];
+  }
+
+  let modulePath = path.resolve((env && env.pwd) || process.cwd(), sort.comparator);
+
+  try {
+    let custom = require(modulePath);
+    let compare = typeof custom === 'function' ? custom : custom && custom.compare;
+
+    if (typeof compare !== 'function') {
+      throw new Error('it does not export a function');
+    }
+
+    // ties fall back to the default strategy, so the order stays stable across runs
+    return (a, b) => compare(a, b) || STRATEGIES.longname(a, b);
+  } catch (e) {
+    diagnostics.error('Unable to use the custom comparator %s, falling back to "longname": %s', sort.comparator, e.message.split('\n')[0]);
+    return STRATEGIES.longname;
+  }
+}
+
+/**
+ * Sort doclets with `comparator`, keeping the incoming order of equal doclets.
+ * @param {Array.<object>} doclets The doclets to sort.
+ * @param {function} comparator The comparator built by {@link createComparator}.
+ * @return {Array.<object>} A new, sorted array.
+ */
+function sortDoclets(doclets, comparator) {
+  return doclets
+    .map((doclet, index) => ({doclet, index}))
+    .sort((a, b) => comparator(a.doclet, b.doclet) || a.index - b.index)
+    .map(entry => entry.doclet);
+}
+
+function byName(a, b) {
+  return compareValues(lower(a.name), lower(b.name)) || compareValues(a.longname, b.longname);
+}
+
+function compareKinds(a, b) {
+  return kindIndex(a.kind) - kindIndex(b.kind);
+}
+
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// the symbols without `@since` come first, the others by version, the same way the versions are ordered
+function compareSince(a, b) {
+  if (!a || !b) {
+    return compareValues(a || null, b || null);
+  }
+  return powerVersionsHelper.compareVersions(String(a), String(b));
+}
+
+function kindIndex(kind) {
+  let index = KIND_ORDER.indexOf(kind);
+  return index === -1 ? KIND_ORDER.length : index;
+}
+
+function lower(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function sourceLine(doclet) {
+  return doclet.meta ? doclet.meta.lineno : undefined;
+}
+
+function sourcePath(doclet) {
+  return doclet.meta ? path.join(doclet.meta.path || '', doclet.meta.filename || '') : undefined;
+}
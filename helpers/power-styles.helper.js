@@ -0,0 +1,61 @@
+const util = require('util');
+
+// the custom properties of jsdoc.css and prettify.css, `fontBody` standing for `--power-font-body`
+const TOKENS = [
+  'background', 'border', 'borderLight', 'codeBackground', 'disabled', 'faded', 'fontBody', 'fontHeading',
+  'fontMono', 'fontNav', 'footer', 'heading', 'highlight', 'important', 'link', 'muted', 'navicon',
+  'naviconOpen', 'overlay', 'rule', 'shadow', 'shadowSoft', 'signatureBackground', 'signatureLink',
+  'signatureMuted', 'signatureText', 'sourceBackground', 'sourceCode', 'sourceLine', 'sourceText', 'subtle',
+  'syntaxAttributeName', 'syntaxAttributeValue', 'syntaxBracket', 'syntaxComment', 'syntaxDeclaration',
+  'syntaxFunction', 'syntaxKeyword', 'syntaxLiteral', 'syntaxPlain', 'syntaxPunctuation', 'syntaxString',
+  'syntaxTag', 'syntaxType', 'syntaxVariable', 'text', 'textStrong', 'typeSignature'
+];
+
+// jsdoc.css sets the dark palette with these selectors, the overrides use the same ones to come after it
+const DARK_MEDIA_SELECTOR = ':root:not([data-theme="light"])';
+const DARK_TOGGLE_SELECTOR = ':root[data-theme="dark"]';
+
+module.exports = {
+  TOKENS,
+  buildTokens,
+  cssVariable
+};
+
+/**
+ * Build the stylesheet that overrides the tokens of jsdoc.css, linked after it.
+ * @param {object} styles The `styles` setting: `tokens` for both palettes, `darkTokens` for the dark one only.
+ * @return {?string} The CSS, `null` when no token is overridden.
+ */
+function buildTokens(styles) {
+  let tokens = declarations(styles.tokens, '  ');
+  let darkTokens = declarations(styles.darkTokens, '  ');
+  let blocks = [];
+
+  if (tokens) {
+    blocks.push(util.format(':root,\n%s,\n%s {\n%s}\n', DARK_MEDIA_SELECTOR, DARK_TOGGLE_SELECTOR, tokens));
+  }
+  if (darkTokens) {
+    blocks.push(util.format('@media (prefers-color-scheme: dark) {\n  %s {\n%s  }\n}\n',
+      DARK_MEDIA_SELECTOR, declarations(styles.darkTokens, '    ')));
+    blocks.push(util.format('%s {\n%s}\n', DARK_TOGGLE_SELECTOR, darkTokens));
+  }
+
+  return blocks.length ? ['/* generated from powerMode.styles, do not edit */\n'].concat(blocks).join('\n') : null;
+}
+
+/**
+ * Name the custom property of a token.
+ * @param {string} token The token, e.g. `fontBody`.
+ * @return {string} The custom property, e.g. `--power-font-body`.
+ */
+function cssVariable(token) {
+  return '--power-' + token.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+function declarations(tokens, indent) {
+  return Object.keys(tokens || {})
+    .filter(token => tokens[token] !== undefined)
+    .sort()
+    .map(token => util.format('%s%s: %s;\n', indent, cssVariable(token), tokens[token]))
+    .join('');
+}
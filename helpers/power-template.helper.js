@@ -1,7 +1,10 @@
 const jsdocTemplateHelper = require('jsdoc/util/templateHelper');
 const jsdocPathHelper = require('jsdoc/path');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
 const util = require('util');
 
+const diagnostics = powerDiagnosticsHelper.channel('template');
+
 module.exports = {
   addAttribs,
   addNonParamAttributes,
@@ -21,7 +24,8 @@ module.exports = {
   needsSignature,
   shortenPaths,
   tutoriallink,
-  updateItemName
+  updateItemName,
+  viewHelpers
 };
 
 function addAttribs(f) {
@@ -175,6 +179,7 @@ function needsSignature(doclet) {
 }
 
 function shortenPaths(files, commonPrefix) {
+  diagnostics.debug('Shortening %d source file path(s)', Object.keys(files).length);
   Object.keys(files).forEach(file => {
     files[file].shortened = files[file].resolved.replace(commonPrefix, '').replace(/\\/g, '/'); // always use forward slashes
   });
@@ -202,3 +207,18 @@ function updateItemName(item) {
   }
   return itemName;
 }
+
+/**
+ * The helpers the templates call on `self`, the same in the main thread and in the render workers.
+ * @param {function} find Looks doclets up in the data of the thread.
+ * @return {object} The helpers, to assign to the view.
+ */
+function viewHelpers(find) {
+  return {
+    find,
+    htmlsafe: jsdocTemplateHelper.htmlsafe,
+    linkto,
+    resolveAuthorLinks: jsdocTemplateHelper.resolveAuthorLinks,
+    tutoriallink
+  };
+}
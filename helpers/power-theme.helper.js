@@ -0,0 +1,111 @@
+/* global env: true */
+
+const fs = require('fs');
+const jsdocFS = require('jsdoc/fs');
+const jsdocTemplate = require('jsdoc/template');
+const path = require('path');
+const powerConfiguratorHelper = require('./power-configurator.helper');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+
+const diagnostics = powerDiagnosticsHelper.channel('theme');
+
+/**
+ * A template whose partials are looked up in the theme first, then in the template.
+ */
+class ThemedTemplate extends jsdocTemplate.Template {
+
+  /**
+   * @param {string} filepath The `tmpl` directory of the template.
+   * @param {string} themePath The directory of the theme.
+   */
+  constructor(filepath, themePath) {
+    super(filepath);
+    this.themePath = themePath;
+  }
+
+  partial(file, data) {
+    let themed = path.isAbsolute(file) ? null : path.join(this.themePath, file);
+    return super.partial(themed && fs.existsSync(themed) ? themed : file, data);
+  }
+}
+
+module.exports = {
+  copyStaticFiles,
+  createView,
+  listPartials,
+  resolveTheme
+};
+
+/**
+ * Find the theme directory and report the partials it overrides.
+ * @param {?string} theme The `theme` setting, relative to the working directory of JSDoc.
+ * @param {string} templatePath The directory of the template.
+ * @return {?string} The absolute path of the theme, `null` when there is none or it does not exist.
+ */
+function resolveTheme(theme, templatePath) {
+  if (!theme) {
+    return null;
+  }
+
+  let themePath = path.resolve((env && env.pwd) || process.cwd(), theme);
+
+  if (!fs.existsSync(themePath) || !fs.statSync(themePath).isDirectory()) {
+    diagnostics.error('The theme %s is not a directory, using the default template', theme);
+    return null;
+  }
+
+  let defaults = listPartials(path.join(templatePath, 'tmpl'));
+
+  listPartials(themePath).forEach(partial => {
+    let suggestion = defaults.indexOf(partial) === -1 ? powerConfiguratorHelper.suggest(partial, defaults) : null;
+
+    // a partial of its own is fine, as long as another partial of the theme renders it
+    if (suggestion) {
+      diagnostics.warn('The theme partial %s overrides nothing, did you mean "%s"?', partial, suggestion);
+    } else {
+      diagnostics.debug('The theme %s %s', defaults.indexOf(partial) > -1 ? 'overrides' : 'adds', partial);
+    }
+  });
+
+  return themePath;
+}
+
+/**
+ * Create the view of the template, themed when there is a theme.
+ * @param {string} tmplPath The `tmpl` directory of the template.
+ * @param {?string} themePath The directory of the theme.
+ * @return {object} The view.
+ */
+function createView(tmplPath, themePath) {
+  return themePath ? new ThemedTemplate(tmplPath, themePath) : new jsdocTemplate.Template(tmplPath);
+}
+
+/**
+ * Copy the `static` directory of the theme over the static files of the template.
+ * @param {string} themePath The directory of the theme.
+ * @param {string} outdir The destination.
+ */
+function copyStaticFiles(themePath, outdir) {
+  let fromDir = path.join(themePath, 'static');
+
+  if (!fs.existsSync(fromDir)) {
+    return;
+  }
+
+  jsdocFS.ls(fromDir, 10).forEach(fileName => {
+    let toDir = jsdocFS.toDir(fileName.replace(fromDir, outdir));
+    jsdocFS.mkPath(toDir);
+    jsdocFS.copyFileSync(fileName, toDir);
+  });
+}
+
+/**
+ * List the `.tmpl` files of a directory.
+ * @param {string} directory The directory.
+ * @return {Array.<string>} The file names, sorted.
+ */
+function listPartials(directory) {
+  return fs.readdirSync(directory)
+    .filter(file => /\.tmpl$/.test(file))
+    .sort();
+}
@@ -0,0 +1,560 @@
+const catharsis = require('catharsis');
+const path = require('path');
+const powerTemplateHelper = require('./power-template.helper');
+const util = require('util');
+
+const BUILTIN_TYPES = {
+  '*': 'any',
+  'any': 'any',
+  'array': 'any[]',
+  'bigint': 'bigint',
+  'bool': 'boolean',
+  'boolean': 'boolean',
+  'double': 'number',
+  'float': 'number',
+  'function': '(...args: any[]) => any',
+  'int': 'number',
+  'integer': 'number',
+  'mixed': 'any',
+  'null': 'null',
+  'number': 'number',
+  'object': 'object',
+  'promise': 'Promise<any>',
+  'string': 'string',
+  'symbol': 'symbol',
+  'undefined': 'undefined',
+  'void': 'void'
+};
+
+// names that exist as they are in the TypeScript standard and DOM libraries
+const GLOBAL_TYPES = [
+  'ArrayBuffer', 'Buffer', 'DataView', 'Date', 'Document', 'Element', 'Error', 'Event', 'EventTarget', 'HTMLElement',
+  'Iterable', 'Iterator', 'Map', 'Node', 'NodeList', 'RangeError', 'RegExp', 'Set', 'TypeError', 'Uint8Array',
+  'WeakMap', 'WeakSet', 'Window'
+];
+
+const RESERVED_WORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum',
+  'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'null',
+  'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with'
+];
+
+const TYPE_KINDS = ['class', 'interface', 'typedef'];
+
+module.exports = {
+  buildDeclarations,
+  toTypeScript
+};
+
+/**
+ * Build the TypeScript declarations of the documented API: one file per module and a
+ * `global.d.ts` for everything that is not in a module.
+ * @param {Array.<object>} doclets The doclets, after the signatures were built.
+ * @return {object} The `{files, problems}` pair, `files` maps a relative path to its content and
+ *                  `problems` lists what could not be translated.
+ */
+function buildDeclarations(doclets) {
+  let context = createContext(doclets);
+  let files = {};
+
+  context.modules.forEach(module => {
+    context.module = module;
+    files[moduleFile(module)] = emitModule(module, context);
+  });
+
+  context.module = null;
+  let globals = emitContainer('', context, 0, 'declare ');
+  if (globals.length) {
+    files['global.d.ts'] = header().concat(globals).join('\n') + '\n';
+  }
+
+  return {files, problems: context.problems};
+}
+
+/**
+ * Translate the `type` of a doclet or of one of its params, properties or returns.
+ * @param {object} item The item holding the `type`.
+ * @param {object} context The context of {@link buildDeclarations}.
+ * @param {object} owner The doclet the item belongs to, for problem reports.
+ * @return {string} The TypeScript type.
+ */
+function toTypeScript(item, context, owner) {
+  let names = item && item.type && item.type.names;
+
+  if (!names || !names.length) {
+    return 'any';
+  }
+
+  let types = names.map(name => {
+    try {
+      return translate(catharsis.parse(name, {jsdoc: true}), context, owner);
+    } catch (e) {
+      report(context, owner, util.format('cannot parse the type "%s": %s', name, e.message));
+      return 'any';
+    }
+  });
+
+  if (powerTemplateHelper.getSignatureAttributes(item).indexOf('nullable') > -1) {
+    types.push('null');
+  }
+  return unique(types).join(' | ');
+}
+
+function createContext(doclets) {
+  let context = {
+    byLongname: {},
+    byMemberof: {},
+    modules: [],
+    module: null,
+    problems: []
+  };
+  let seen = {};
+  let documented = doclets.filter(doclet => !doclet.undocumented && doclet.access !== 'private' &&
+    ['file', 'package', 'event'].indexOf(doclet.kind) === -1);
+  let moduleLongnames = documented.filter(doclet => doclet.kind === 'module').map(doclet => doclet.longname);
+
+  documented.forEach(doclet => {
+    let key = doclet.kind + ' ' + doclet.longname;
+
+    if (seen[key]) {
+      return;
+    }
+    seen[key] = true;
+
+    if (doclet.kind === 'module') {
+      context.modules.push(doclet);
+      return;
+    }
+
+    context.byLongname[doclet.longname] = context.byLongname[doclet.longname] || doclet;
+
+    // the export of a module, e.g. `module.exports = function() {}`, is declared with the module itself
+    if (moduleLongnames.indexOf(doclet.longname) === -1) {
+      let memberof = doclet.memberof || '';
+      context.byMemberof[memberof] = (context.byMemberof[memberof] || []).concat([doclet]);
+    }
+  });
+
+  return context;
+}
+
+function emitModule(module, context) {
+  let lines = header();
+  let exported = context.byLongname[module.longname];
+
+  // `module.exports = SomeClass`: the export is the class, everything else hangs off a merged namespace
+  if (exported && (exported.kind === 'class' || exported.kind === 'function')) {
+    let name = identifier(module.name.split('/').pop());
+    let children = emitContainer(module.longname, context, 1, 'export ', exported.kind === 'class');
+
+    lines = lines.concat(exported.kind === 'class'
+      ? emitClass(exported, name, context, 0, 'declare ')
+      : [util.format('declare function %s%s;', name, signature(exported, context))]);
+
+    if (children.length) {
+      lines.push(util.format('declare namespace %s {', name));
+      lines = lines.concat(children);
+      lines.push('}');
+    }
+    lines.push(util.format('export = %s;', name));
+  } else {
+    lines = lines.concat(emitContainer(module.longname, context, 0, 'export declare '));
+    if (lines.length === header().length) {
+      lines.push('export {};');
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// the declarations of everything that is a direct member of `longname`, only the types when the
+// container is merged with a class, which declares the static members itself
+function emitContainer(longname, context, depth, prefix, typesOnly) {
+  let lines = [];
+  let inNamespace = prefix.indexOf('declare') === -1;
+
+  (context.byMemberof[longname] || []).forEach(doclet => {
+    let name = doclet.name;
+    let exported = doclet.scope !== 'inner' || TYPE_KINDS.indexOf(doclet.kind) > -1;
+
+    if (!exported || doclet.scope === 'instance' || (typesOnly && ['function', 'member', 'constant'].indexOf(doclet.kind) > -1)) {
+      return;
+    }
+    if (!isIdentifier(name)) {
+      report(context, doclet, util.format('"%s" is not a valid TypeScript identifier, the %s is left out', name, doclet.kind));
+      return;
+    }
+
+    let typePrefix = inNamespace ? prefix : prefix.replace('declare ', '');
+
+    switch (doclet.kind) {
+      case 'class':
+        lines = lines.concat(emitClass(doclet, name, context, depth, prefix));
+        lines = lines.concat(emitNamespace(doclet, name, context, depth, prefix, true));
+        break;
+      case 'interface':
+        lines = lines.concat(emitInterface(doclet, name, context, depth, typePrefix));
+        break;
+      case 'typedef':
+        lines = lines.concat(emitTypedef(doclet, name, context, depth, typePrefix));
+        break;
+      case 'function':
+        lines.push(indent(depth) + util.format('%sfunction %s%s;', prefix, name, signature(doclet, context)));
+        break;
+      case 'member':
+      case 'constant':
+        if (context.byMemberof[doclet.longname]) {
+          lines = lines.concat(emitNamespace(doclet, name, context, depth, prefix, false));
+        } else {
+          lines.push(indent(depth) + util.format('%s%s %s: %s;', prefix, doclet.readonly || doclet.kind === 'constant' ? 'const' : 'let',
+            name, toTypeScript(doclet, context, doclet)));
+        }
+        break;
+      case 'namespace':
+      case 'mixin':
+        lines = lines.concat(emitNamespace(doclet, name, context, depth, prefix, false));
+        break;
+      default:
+        report(context, doclet, util.format('%s doclets have no TypeScript counterpart, "%s" is left out', doclet.kind, name));
+    }
+  });
+
+  return lines;
+}
+
+function emitNamespace(doclet, name, context, depth, prefix, mergedWithClass) {
+  let children = emitContainer(doclet.longname, context, depth + 1, 'export ', mergedWithClass);
+
+  if (mergedWithClass && !children.length) {
+    return [];
+  }
+  return [indent(depth) + util.format('%snamespace %s {', prefix, name)]
+    .concat(children)
+    .concat([indent(depth) + '}']);
+}
+
+function emitClass(doclet, name, context, depth, prefix) {
+  let heritage = '';
+  let parents = (doclet.augments || []).filter(parent => isDeclared(parent, ['class'], context));
+
+  (doclet.augments || [])
+    .filter(parent => parents.indexOf(parent) === -1)
+    .forEach(parent => report(context, doclet, util.format('the parent class "%s" is not documented, "%s" does not extend it', parent, name)));
+
+  if (parents.length) {
+    heritage += ' extends ' + reference(parents[0], context);
+  }
+  if (parents.length > 1) {
+    report(context, doclet, util.format('TypeScript classes extend a single class, "%s" only extends %s', name, parents[0]));
+  }
+
+  let interfaces = (doclet.implements || []).filter(parent => isDeclared(parent, ['interface'], context));
+  if (interfaces.length) {
+    heritage += ' implements ' + interfaces.map(parent => reference(parent, context)).join(', ');
+  }
+
+  let lines = [indent(depth) + util.format('%sclass %s%s {', prefix, name, heritage)];
+  lines.push(indent(depth + 1) + util.format('constructor%s;', parameters(doclet, context)));
+  lines = lines.concat(emitBody(doclet, context, depth + 1, true, parents.length > 0));
+  lines.push(indent(depth) + '}');
+  return lines;
+}
+
+function emitInterface(doclet, name, context, depth, prefix) {
+  let parents = (doclet.augments || []).filter(parent => isDeclared(parent, ['interface', 'typedef'], context));
+  let heritage = parents.length ? ' extends ' + parents.map(parent => reference(parent, context)).join(', ') : '';
+
+  return [indent(depth) + util.format('%sinterface %s%s {', prefix, name, heritage)]
+    .concat(emitBody(doclet, context, depth + 1, false, parents.length > 0))
+    .concat([indent(depth) + '}']);
+}
+
+// the instance (and for classes, static) members and methods of a class or an interface, the
+// inherited ones are left to the declared parent
+function emitBody(doclet, context, depth, isClass, hasParent) {
+  let lines = [];
+
+  (context.byMemberof[doclet.longname] || [])
+    .filter(child => child.scope === 'instance' || (isClass && child.scope === 'static'))
+    .filter(child => !(hasParent && child.inherited))
+    .forEach(child => {
+      let modifiers = (child.scope === 'static' ? 'static ' : '') + (child.readonly ? 'readonly ' : '');
+      let name = isIdentifier(child.name) ? child.name : JSON.stringify(child.name);
+
+      if (child.kind === 'function') {
+        lines.push(indent(depth) + util.format('%s%s%s;', modifiers, name, signature(child, context)));
+      } else if (child.kind === 'member' || child.kind === 'constant') {
+        lines.push(indent(depth) + util.format('%s%s: %s;', modifiers, name, toTypeScript(child, context, child)));
+      }
+    });
+
+  return lines;
+}
+
+function emitTypedef(doclet, name, context, depth, prefix) {
+  let names = doclet.type && doclet.type.names || [];
+  let isCallback = names.some(type => /^function$/i.test(type)) && (doclet.params || doclet.returns);
+  let isObject = !names.length || names.every(type => /^object$/i.test(type));
+
+  if (isCallback) {
+    return [indent(depth) + util.format('%stype %s = %s;', prefix, name, functionType(doclet, context))];
+  }
+  if (isObject && doclet.properties && doclet.properties.length) {
+    return [indent(depth) + util.format('%sinterface %s {', prefix, name)]
+      .concat(emitFields(tree(doclet.properties), context, doclet, depth + 1))
+      .concat([indent(depth) + '}']);
+  }
+  return [indent(depth) + util.format('%stype %s = %s;', prefix, name, toTypeScript(doclet, context, doclet))];
+}
+
+function emitFields(nodes, context, owner, depth) {
+  return nodes.map(node => {
+    let name = isIdentifier(node.item.name) ? node.item.name : JSON.stringify(node.item.name);
+    let optional = powerTemplateHelper.getSignatureAttributes(node.item).indexOf('opt') > -1 ? '?' : '';
+    return indent(depth) + util.format('%s%s: %s;', name, optional, nodeType(node, context, owner));
+  });
+}
+
+function signature(doclet, context) {
+  return parameters(doclet, context) + ': ' + returnType(doclet, context);
+}
+
+function functionType(doclet, context) {
+  return parameters(doclet, context) + ' => ' + returnType(doclet, context);
+}
+
+function parameters(doclet, context) {
+  let optionalSeen = false;
+
+  return '(' + tree(doclet.params || []).map((node, i) => {
+    let item = node.item;
+    let name = isIdentifier(item.name) && RESERVED_WORDS.indexOf(item.name) === -1 ? item.name : 'arg' + i;
+    let type = nodeType(node, context, doclet);
+
+    if (item.variable) {
+      return util.format('...%s: %s[]', name, group(type));
+    }
+
+    // a required parameter cannot follow an optional one in TypeScript
+    optionalSeen = optionalSeen || powerTemplateHelper.getSignatureAttributes(item).indexOf('opt') > -1;
+    return util.format('%s%s: %s', name, optionalSeen ? '?' : '', type);
+  }).join(', ') + ')';
+}
+
+function returnType(doclet, context) {
+  let types = (doclet.returns || []).map(item => toTypeScript(item, context, doclet));
+  return types.length ? unique(types).join(' | ') : 'void';
+}
+
+// the type of a param or a property, built from its sub-params (`options.name`) when it has some
+function nodeType(node, context, owner) {
+  if (!node.children.length) {
+    return toTypeScript(node.item, context, owner);
+  }
+
+  let record = '{ ' + emitFields(node.children, context, owner, 0).join(' ') + ' }';
+  let names = node.item.type && node.item.type.names || [];
+
+  return names.some(name => /^array/i.test(name)) ? record + '[]' : record;
+}
+
+// nest `a.b` and `a[].b` items under `a`
+function tree(items) {
+  let roots = [];
+  let byName = {};
+
+  items.filter(Boolean).forEach(item => {
+    let node = {item, children: []};
+    let match = /^(.+?)(\[\])?\.([^.]+)$/.exec(item.name || '');
+    let parent = match && byName[match[1]];
+
+    if (parent) {
+      node.item = Object.assign({}, item, {name: match[3]});
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+    if (item.name) {
+      byName[item.name] = node;
+    }
+  });
+
+  return roots;
+}
+
+function translate(node, context, owner) {
+  let type;
+
+  switch (node.type) {
+    case 'AllLiteral':
+      type = 'any';
+      break;
+    case 'UnknownLiteral':
+      type = 'unknown';
+      break;
+    case 'NullLiteral':
+      type = 'null';
+      break;
+    case 'UndefinedLiteral':
+      type = 'undefined';
+      break;
+    case 'NameExpression':
+      type = translateName(node.name, context, owner);
+      break;
+    case 'TypeUnion':
+      type = unique(node.elements.map(element => group(translate(element, context, owner)))).join(' | ');
+      break;
+    case 'TypeApplication':
+      type = translateApplication(node, context, owner);
+      break;
+    case 'FunctionType':
+      // a bare `function` says nothing about the params nor the result
+      if (!node.params.length && !node.result && !node['new'] && !node['this']) {
+        type = BUILTIN_TYPES['function'];
+        break;
+      }
+      type = '(' + (node.params || []).map((param, i) => util.format('%sarg%d%s: %s%s',
+        param.repeatable ? '...' : '', i, param.optional && !param.repeatable ? '?' : '',
+        translate(param, context, owner), param.repeatable ? '[]' : '')).join(', ') + ') => ' +
+        (node.result ? translate(node.result, context, owner) : 'void');
+      break;
+    case 'RecordType':
+      type = '{ ' + node.fields.map(field => util.format('%s: %s;', recordKey(field.key),
+        field.value ? translate(field.value, context, owner) : 'any')).join(' ') + ' }';
+      break;
+    default:
+      report(context, owner, util.format('the %s type expression has no TypeScript counterpart', node.type));
+      type = 'any';
+  }
+
+  if (node.nullable === true) {
+    type = group(type) + ' | null';
+  }
+  return type;
+}
+
+function translateApplication(node, context, owner) {
+  let base = node.expression.name || '';
+  let applications = node.applications.map(application => translate(application, context, owner));
+
+  if (/^array$/i.test(base)) {
+    return applications.length === 1 ? group(applications[0]) + '[]' : 'any[]';
+  }
+  if (/^object$/i.test(base)) {
+    return util.format('Record<%s, %s>', applications.length > 1 ? applications[0] : 'string', applications[applications.length - 1]);
+  }
+  if (/^promise$/i.test(base)) {
+    return util.format('Promise<%s>', applications.join(', '));
+  }
+  return util.format('%s<%s>', translateName(base, context, owner), applications.join(', '));
+}
+
+function translateName(name, context, owner) {
+  let lower = name.toLowerCase();
+
+  if (BUILTIN_TYPES.hasOwnProperty(lower) && (lower === name || /^(Object|Array|Function|Promise|String|Number|Boolean|Symbol)$/.test(name))) {
+    return BUILTIN_TYPES[lower];
+  }
+  if (GLOBAL_TYPES.indexOf(name) > -1) {
+    return name;
+  }
+
+  let longname = resolveLongname(name, context, owner);
+  if (longname) {
+    return reference(longname, context);
+  }
+
+  report(context, owner, util.format('the type "%s" is not documented, it is declared as any', name));
+  return 'any';
+}
+
+// the longname of a documented type, looked up as written, then from the module of the owner
+function resolveLongname(name, context, owner) {
+  let candidates = [name];
+  let module = context.module ? context.module.longname : null;
+
+  if (owner && owner.memberof) {
+    candidates.push(owner.memberof + '~' + name, owner.memberof + '.' + name);
+  }
+  if (module) {
+    candidates.push(module + '~' + name, module + '.' + name);
+  }
+
+  return candidates.find(candidate => isDeclared(candidate, TYPE_KINDS, context)) || null;
+}
+
+// whether `longname` is declared, as one of `kinds`, in the emitted files
+function isDeclared(longname, kinds, context) {
+  let doclet = context.byLongname[longname];
+  return !!doclet && kinds.indexOf(doclet.kind) > -1 && isIdentifier(doclet.name);
+}
+
+// how the current file refers to the documented type `longname`
+function reference(longname, context) {
+  let owner = moduleOf(longname, context);
+  let local = owner ? longname.slice(owner.longname.length).replace(/^[.~#]/, '') : longname;
+  let localPath = local.split(/[.~#]/).join('.');
+
+  if (!owner) {
+    return localPath;
+  }
+  if (context.module && owner.longname === context.module.longname) {
+    return localPath || identifier(owner.name.split('/').pop());
+  }
+
+  let from = context.module ? path.posix.dirname(moduleFile(context.module)) : '.';
+  let to = moduleFile(owner).replace(/\.d\.ts$/, '');
+  let relative = path.posix.relative(from, to);
+
+  relative = relative.indexOf('.') === 0 ? relative : './' + relative;
+  return util.format('import(%s)%s', JSON.stringify(relative), localPath ? '.' + localPath : '');
+}
+
+function moduleOf(longname, context) {
+  return context.modules
+    .filter(module => longname === module.longname || /^[.~#]/.test(longname.slice(module.longname.length)) && longname.indexOf(module.longname) === 0)
+    .sort((a, b) => b.longname.length - a.longname.length)[0] || null;
+}
+
+function moduleFile(module) {
+  return module.name.split('/').map(segment => segment.replace(/[^\w.-]/g, '_')).join('/') + '.d.ts';
+}
+
+function report(context, doclet, message) {
+  context.problems.push({
+    longname: doclet ? doclet.longname : null,
+    file: doclet && doclet.meta ? doclet.meta.shortpath || doclet.meta.filename : null,
+    line: doclet && doclet.meta ? doclet.meta.lineno : null,
+    message
+  });
+}
+
+function recordKey(key) {
+  let name = key && (key.name || key.value) || '';
+  return isIdentifier(name) ? name : JSON.stringify(String(name));
+}
+
+function group(type) {
+  return /\||=>/.test(type) && !/^\(.*\)$/.test(type) ? '(' + type + ')' : type;
+}
+
+function header() {
+  return ['// Generated by jsdoc-powermode from the JSDoc comments, do not edit.', ''];
+}
+
+function identifier(name) {
+  let sanitized = String(name).replace(/[^\w$]/g, '_');
+  return /^\d/.test(sanitized) || RESERVED_WORDS.indexOf(sanitized) > -1 ? '_' + sanitized : sanitized;
+}
+
+function indent(depth) {
+  return new Array(depth + 1).join('  ');
+}
+
+function isIdentifier(name) {
+  return typeof name === 'string' && /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+function unique(values) {
+  return values.filter((value, i) => values.indexOf(value) === i);
+}
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const powerDiagnosticsHelper = require('./power-diagnostics.helper');
+const powerSearchHelper = require('./power-search.helper');
+const util = require('util');
+
+const diagnostics = powerDiagnosticsHelper.channel('versions');
+
+const FORMAT_VERSION = 1;
+
+const INDEX_FILENAME = 'versions.json';
+const SCRIPT_FILENAME = 'versions.js';
+
+module.exports = {
+  FORMAT_VERSION,
+  INDEX_FILENAME,
+  SCRIPT_FILENAME,
+  compareVersions,
+  latestVersion,
+  readIndex,
+  updateIndex
+};
+
+/**
+ * Read the versions already documented in the destination.
+ * @param {string} root The destination given to JSDoc, which holds `name/version` directories.
+ * @return {?object} The index, `null` when there is none yet.
+ */
+function readIndex(root) {
+  let indexPath = path.join(root, INDEX_FILENAME);
+
+  if (!fs.existsSync(indexPath)) {
+    return null;
+  }
+
+  try {
+    let index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return index.formatVersion === FORMAT_VERSION ? index : null;
+  } catch (e) {
+    diagnostics.warn('Unable to read %s, the versions are indexed again: %s', indexPath, e.message);
+    return null;
+  }
+}
+
+/**
+ * Add (or replace) a version in the index of the destination, then write the index, the script the version
+ * switcher of every page loads and the page redirecting the destination to the latest version.
+ * @param {string} root The destination given to JSDoc.
+ * @param {object} entry The `name` of the package, its `version`, the `path` of its documentation, relative to
+ *                       `root`, and the file names of its `pages`.
+ * @return {?object} The index, `null` when the destination documents another package.
+ */
+function updateIndex(root, entry) {
+  let index = readIndex(root) || {formatVersion: FORMAT_VERSION, name: entry.name, latest: null, versions: []};
+
+  if (index.name !== entry.name) {
+    diagnostics.error('The destination already documents the versions of %s, not of %s, the version switcher is not updated',
+      index.name, entry.name);
+    return null;
+  }
+
+  index.versions = index.versions
+    .filter(version => version.version !== entry.version)
+    .concat([{version: entry.version, path: entry.path, pages: entry.pages.slice().sort()}])
+    .filter(version => fs.existsSync(path.join(root, version.path)))
+    .sort((a, b) => compareVersions(b.version, a.version));
+  index.latest = latestVersion(index.versions.map(version => version.version));
+
+  let latest = index.versions.find(version => version.version === index.latest);
+
+  fs.writeFileSync(path.join(root, INDEX_FILENAME), JSON.stringify(index, null, 2), 'utf8');
+  fs.writeFileSync(path.join(root, SCRIPT_FILENAME), powerSearchHelper.toScript('powerModeVersions', index), 'utf8');
+  fs.writeFileSync(path.join(root, 'index.html'), redirect(latest.path + 'index.html'), 'utf8');
+
+  diagnostics.info('Indexed %d version(s) of %s, the latest is %s', index.versions.length, index.name, index.latest);
+  return index;
+}
+
+/**
+ * Compare two versions the semver way: numbers by value, a pre-release before its release.
+ * @param {string} a A version.
+ * @param {string} b Another version.
+ * @return {number} Negative when `a` comes first, positive when `b` does, `0` when they are equal.
+ */
+function compareVersions(a, b) {
+  let [aRelease, aPrerelease] = splitVersion(a);
+  let [bRelease, bPrerelease] = splitVersion(b);
+  let release = compareIdentifiers(aRelease, bRelease);
+
+  if (release || (!aPrerelease.length && !bPrerelease.length)) {
+    return release;
+  }
+  if (!aPrerelease.length || !bPrerelease.length) {
+    return aPrerelease.length ? -1 : 1;
+  }
+  return compareIdentifiers(aPrerelease, bPrerelease);
+}
+
+/**
+ * Pick the latest version: the highest release, or the highest pre-release when there is no release yet.
+ * @param {Array.<string>} versions The versions.
+ * @return {?string} The latest one, `null` when there is none.
+ */
+function latestVersion(versions) {
+  let releases = versions.filter(version => !splitVersion(version)[1].length);
+  let candidates = (releases.length ? releases : versions).slice().sort(compareVersions);
+
+  return candidates[candidates.length - 1] || null;
+}
+
+function splitVersion(version) {
+  let match = /^v?([^-+]*)(?:-([^+]*))?/.exec(String(version));
+
+  return [match[1].split('.'), match[2] ? match[2].split('.') : []];
+}
+
+function compareIdentifiers(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined || b[i] === undefined) {
+      return a[i] === undefined ? -1 : 1;
+    }
+
+    let numeric = /^\d+$/.test(a[i]) && /^\d+$/.test(b[i]);
+
+    if (numeric && Number(a[i]) !== Number(b[i])) {
+      return Number(a[i]) - Number(b[i]);
+    }
+    if (!numeric && a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function redirect(url) {
+  return util.format('<!DOCTYPE html>\n<html lang="en">\n<head>\n    <meta charset="utf-8">\n' +
+    '    <meta http-equiv="refresh" content="0; url=%s">\n    <link rel="canonical" href="%s">\n' +
+    '    <title>Documentation</title>\n</head>\n<body>\n    <a href="%s">Latest version</a>\n</body>\n</html>\n',
+    url, url, url);
+}
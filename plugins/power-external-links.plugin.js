@@ -0,0 +1,14 @@
+// opens the links to other sites in a new tab, e.g. `{@link https://example.com}` or a link in a README
+
+module.exports = {
+  renderPage
+};
+
+/**
+ * Add `target="_blank"` and `rel="noopener noreferrer"` to the absolute links of a page that set no target.
+ * @param {string} html The HTML of the page.
+ * @return {string} The HTML with the links changed.
+ */
+function renderPage(html) {
+  return html.replace(/<a (?![^>]*\btarget=)([^>]*\bhref="(?:https?:)?\/\/[^"]*"[^>]*)>/g, '<a $1 target="_blank" rel="noopener noreferrer">');
+}
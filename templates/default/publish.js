@@ -1,19 +1,61 @@
 /* global env: true */
 'use strict';
 
+const powerCacheHelper = require('../../helpers/power-cache.helper');
 const powerConfiguratorHelper = require('../../helpers/power-configurator.helper').loadFromEnv();
+const powerCoverageHelper = require('../../helpers/power-coverage.helper');
+const powerDiagnosticsHelper = require('../../helpers/power-diagnostics.helper');
+const powerDiagramsHelper = require('../../helpers/power-diagrams.helper');
+const powerEventsHelper = require('../../helpers/power-events.helper');
+const powerFooterHelper = require('../../helpers/power-footer.helper');
+const powerJsonHelper = require('../../helpers/power-json.helper');
+const powerLinksHelper = require('../../helpers/power-links.helper');
+const powerMarkdownHelper = require('../../helpers/power-markdown.helper');
+const powerOutputHelper = require('../../helpers/power-output.helper');
+const powerParallelHelper = require('../../helpers/power-parallel.helper');
+const powerPluginsHelper = require('../../helpers/power-plugins.helper');
+const powerReproducibleHelper = require('../../helpers/power-reproducible.helper');
+const powerSearchHelper = require('../../helpers/power-search.helper');
+const powerSortHelper = require('../../helpers/power-sort.helper');
+const powerStylesHelper = require('../../helpers/power-styles.helper');
 const powerTemplateHelper = require('../../helpers/power-template.helper');
+const powerThemeHelper = require('../../helpers/power-theme.helper');
+const powerTypescriptHelper = require('../../helpers/power-typescript.helper');
+const powerVersionsHelper = require('../../helpers/power-versions.helper');
 
 const jsdocDoop = require('jsdoc/util/doop');
 const jsdocFS = require('jsdoc/fs');
 const jsdocTemplateHelper = require('jsdoc/util/templateHelper');
-const jsdocLogger = require('jsdoc/util/logger');
 const jsdocPath = require('jsdoc/path');
-const jsdocTemplate = require('jsdoc/template');
 const taffy = require('taffydb').taffy;
+const util = require('util');
 
+const diagnostics = powerDiagnosticsHelper.channel('publish');
+
+const measure = powerDiagnosticsHelper.measure;
+
+const NAV_LINKTO = {
+  externals: powerTemplateHelper.linktoExternal,
+  tutorials: powerTemplateHelper.linktoTutorial
+};
+
+// the kinds that get a page of their own, a longname shared by several kinds gets the page of the last one
+const PAGE_TYPES = [
+  {type: 'Class', members: 'classes'},
+  {type: 'Module', members: 'modules'},
+  {type: 'Namespace', members: 'namespaces'},
+  {type: 'Mixin', members: 'mixins'},
+  {type: 'External', members: 'externals'},
+  {type: 'Interface', members: 'interfaces'}
+];
+
+let cache;
 let data;
-let outdir = jsdocPath.normalize(env.opts.destination);
+let docletFingerprints;
+let links;
+let membersByMemberof;
+let outdir = jsdocPath.normalize(powerReproducibleHelper.destination(env.opts.destination));
+let plugins;
 
 /**
  @param {taffy} taffyData See <http://taffydb.com/>.
@@ -22,13 +64,20 @@ let outdir = jsdocPath.normalize(env.opts.destination);
  */
 exports.publish = (taffyData, opts, tutorials) => {
 
+  // the configurator already reported what is wrong
+  if (!powerConfiguratorHelper.isValid()) {
+    return;
+  }
+
   data = taffyData;
+  plugins = powerPluginsHelper.load(powerConfiguratorHelper.getPlugins());
 
   let conf = env.conf.templates || {};
   conf.default = conf.default || {};
 
   let templatePath = jsdocPath.normalize(opts.template);
-  let view = new jsdocTemplate.Template(jsdocPath.join(templatePath, 'tmpl'));
+  let themePath = powerThemeHelper.resolveTheme(powerConfiguratorHelper.getTheme(), templatePath);
+  let view = powerThemeHelper.createView(jsdocPath.join(templatePath, 'tmpl'), themePath);
 
   // claim some special filenames in advance, so the All-Powerful Overseer of Filename Uniqueness
   // doesn't try to hand them out later
@@ -38,6 +87,11 @@ exports.publish = (taffyData, opts, tutorials) => {
   let globalUrl = jsdocTemplateHelper.getUniqueFilename('global');
   jsdocTemplateHelper.registerLink('global', globalUrl);
 
+  let searchUrl = powerConfiguratorHelper.shouldIndexFullText() ? jsdocTemplateHelper.getUniqueFilename('search') : null;
+  let coverageUrl = powerConfiguratorHelper.shouldReportCoverage() ? jsdocTemplateHelper.getUniqueFilename('coverage') : null;
+  let dependenciesUrl = powerConfiguratorHelper.shouldDrawModules() ? jsdocTemplateHelper.getUniqueFilename('dependencies') : null;
+  let eventsUrl = powerConfiguratorHelper.shouldDrawEvents() ? jsdocTemplateHelper.getUniqueFilename('events') : null;
+
   // set up templating
   view.layout = conf.default.layoutFile
     ? jsdocPath.getResourcePath(jsdocPath.dirname(conf.default.layoutFile), jsdocPath.basename(conf.default.layoutFile))
@@ -45,68 +99,175 @@ exports.publish = (taffyData, opts, tutorials) => {
 
   // set up tutorials for jsdocTemplateHelper
   jsdocTemplateHelper.setTutorials(tutorials);
-  data = jsdocTemplateHelper.prune(data);
-
-  powerConfiguratorHelper.shouldSort() && data.sort('longname, version, since');
-  jsdocTemplateHelper.addEventListeners(data);
 
   let sourceFiles = {};
-  let sourceFilePaths = [];
+  let members = measure('prepare', () => {
+    data = plugins.run('beforePrune', {data, opts, tutorials}).data;
+    data = jsdocTemplateHelper.prune(data);
 
-  buildSourceFileLists(data, sourceFiles, sourceFilePaths);
-  buildOutputDirectory();
-  buildStaticFiles(conf, templatePath, outdir);
-  buildShortPaths(data, sourceFiles, sourceFilePaths);
-  buildSignatures(data);
+    // before anything hands out file names or builds lists
+    if (powerConfiguratorHelper.isReproducible()) {
+      data = taffy(powerReproducibleHelper.orderDoclets(data().get()));
+    }
 
-  let members = jsdocTemplateHelper.getMembers(data);
+    // a single ordering feeds the nav, the member lists of every page and the global page
+    if (powerConfiguratorHelper.shouldSort()) {
+      let comparator = powerSortHelper.createComparator(powerConfiguratorHelper.getSort());
+      data = taffy(powerSortHelper.sortDoclets(data().get(), comparator));
+    }
+    jsdocTemplateHelper.addEventListeners(data);
+
+    let sourceFilePaths = [];
+
+    buildSourceFileLists(data, sourceFiles, sourceFilePaths);
+    buildOutputDirectory();
+    buildStaticFiles(conf, templatePath, themePath, outdir);
+    view.styleTokens = buildStyleTokens(outdir);
+    buildShortPaths(data, sourceFiles, sourceFilePaths);
+    buildSignatures(data);
+    plugins.run('afterSignatures', {data});
+
+    return jsdocTemplateHelper.getMembers(data);
+  });
   members.tutorials = tutorials.children;
 
+  // filled as the pages render, with what they could not link to
+  links = powerConfiguratorHelper.shouldCheckLinks()
+    ? powerLinksHelper.createChecker(jsdocTemplateHelper.longnameToUrl, powerConfiguratorHelper.getIgnoredLinks())
+    : null;
+
   // output pretty-printed source files by default
   let outputSourceFiles = !!(conf.default && conf.default.outputSourceFiles !== false);
 
   // add template helpers
-  view.find = find;
-  view.linkto = powerTemplateHelper.linkto;
-  view.resolveAuthorLinks = jsdocTemplateHelper.resolveAuthorLinks;
-  view.tutoriallink = powerTemplateHelper.tutoriallink;
-  view.htmlsafe = jsdocTemplateHelper.htmlsafe;
+  Object.assign(view, powerTemplateHelper.viewHelpers(find));
   view.outputSourceFiles = outputSourceFiles;
+  view.search = powerConfiguratorHelper.shouldSearch() ? {page: searchUrl, results: powerConfiguratorHelper.getSearchResults()} : null;
+  view.versions = powerConfiguratorHelper.isVersioned() ? buildVersionSwitcher() : null;
+  view.footer = powerFooterHelper.buildFooter(powerConfiguratorHelper.getFooter(), {
+    date: conf.default.includeDate !== false ? powerReproducibleHelper.sourceDate(powerConfiguratorHelper.isReproducible()) : null,
+    directory: env.pwd || process.cwd(),
+    packageInfo: find({kind: 'package'})[0]
+  });
+  plugins.run('beforeNav', {data, members, view});
+
+  let pages = measure('plan', () => planPages(members));
+
+  // before the cache takes the fingerprints of the doclets, which hold the diagrams
+  let dependencies = null;
+  let events = null;
+  measure('diagrams', () => {
+    let urls = pageUrls(pages, members);
+
+    if (powerConfiguratorHelper.shouldDrawInheritance()) {
+      buildInheritanceDiagrams(data, urls);
+    }
+    if (dependenciesUrl) {
+      dependencies = buildModuleDependencies(data, urls);
+    }
+    if (eventsUrl) {
+      events = powerEventsHelper.buildEvents(data().get(), urls);
+    }
+  });
+  view.dependencies = dependencies ? dependenciesUrl : null;
+  view.events = events ? eventsUrl : null;
 
   // once for all
-  view.nav = buildNav(members);
-  attachModuleSymbols(find({longname: {left: 'module:'}}), members.modules);
+  let nav = measure('nav', () => {
+    let sections = buildNav(members);
+
+    // the heading of the events leads to their index
+    if (view.events) {
+      sections.filter(section => section.id === 'events').forEach(section => section.url = view.events);
+    }
+    view.nav = renderNav(sections);
+    attachModuleSymbols(find({longname: {left: 'module:'}}), members.modules);
+    return sections;
+  });
+  cache = measure('cache', () => openCache(templatePath, view));
+
+  measure('outputs', () => {
+    if (powerConfiguratorHelper.getJsonFilename()) {
+      buildJsonOutput(data, nav);
+    }
+
+    // before the HTML pages, params.tmpl rearranges the params it renders
+    if (powerConfiguratorHelper.getMarkdownDirectory()) {
+      buildMarkdownOutput(members, opts);
+    }
+
+    if (powerConfiguratorHelper.getTypescriptDirectory()) {
+      buildTypescriptOutput(data);
+    }
+
+    // before the HTML pages too, the params are checked as they were documented
+    if (coverageUrl) {
+      buildCoverageOutput(view, data, coverageUrl);
+    }
+
+    if (dependencies) {
+      generateDependenciesPage(view, dependencies, dependenciesUrl);
+    }
+    if (events) {
+      generateEventsPage(view, events, eventsUrl);
+    }
+
+    if (view.search) {
+      buildSearchIndex(data);
+    }
+    if (searchUrl) {
+      buildFullTextIndex(data, tutorials);
+      generateSearchPage(view, searchUrl);
+    }
+  });
 
   // generate the pretty-printed source files first so other pages can link to them
   if (outputSourceFiles) {
-    generateSourceFiles(view, sourceFiles, opts.encoding);
+    measure('sources', () => generateSourceFiles(view, sourceFiles, opts.encoding));
   }
 
-  if (members.globals.length) {
-    generateFile(view, '', 'Global', [{kind: 'globalobj'}], globalUrl);
-  }
+  return measure('pages', () => {
+    if (members.globals.length) {
+      generateFile(view, '', 'Global', [{kind: 'globalobj'}], globalUrl);
+    }
 
-  // index page displays information from package.json and lists files
-  let files = find({kind: 'file'});
-  let packages = find({kind: 'package'});
+    // index page displays information from package.json and lists files
+    let files = find({kind: 'file'});
+    let packages = find({kind: 'package'});
 
-  generateFile(view, '', 'Home', packages.concat([{
-    kind: 'mainpage',
-    readme: opts.readme,
-    longname: (opts.mainpagetitle) ? opts.mainpagetitle : 'Main Page'
-  }]).concat(files), indexUrl);
+    generateFile(view, '', 'Home', packages.concat([{
+      kind: 'mainpage',
+      readme: opts.readme,
+      longname: (opts.mainpagetitle) ? opts.mainpagetitle : 'Main Page'
+    }]).concat(files), indexUrl);
 
-  // generate the pages
-  Object.keys(jsdocTemplateHelper.longnameToUrl).forEach(longname => {
-    generatePages(view, 'Class', members.classes, longname);
-    generatePages(view, 'Module', members.modules, longname);
-    generatePages(view, 'Namespace', members.namespaces, longname);
-    generatePages(view, 'Mixin', members.mixins, longname);
-    generatePages(view, 'External', members.externals, longname);
-    generatePages(view, 'Interface', members.interfaces, longname);
-  });
+    return generatePages(view, pages, tutorials);
+  }).then(() => {
+    measure('tutorials', () => saveChildren(view, tutorials));
+
+    if (links) {
+      measure('links', () => reportLinks());
+    }
+
+    // the check build only writes the pages to compare, not the files shared with the other versions
+    if (view.versions && !powerReproducibleHelper.isCheckBuild()) {
+      measure('versions', () => saveVersions(view.versions));
+    }
+    if (powerConfiguratorHelper.getLatestAlias() && !powerReproducibleHelper.isCheckBuild()) {
+      measure('latest', () => saveLatestAlias());
+    }
+    measure('cache', () => saveCache());
 
-  saveChildren(view, tutorials);
+    if (powerConfiguratorHelper.shouldCheckReproducibility() && !powerReproducibleHelper.isCheckBuild()) {
+      return measure('check', () => checkReproducibility());
+    }
+    return null;
+  }).then(() => {
+    diagnostics.info('Timings: %s', powerDiagnosticsHelper.getTimings()
+      .map(timing => util.format('%s %d ms', timing.phase, timing.ms))
+      .join(', '));
+    buildReport();
+  });
 };
 
 function find(spec) {
@@ -116,19 +277,185 @@ function find(spec) {
 function generateFile(view, type, title, docs, filename, resolveLinks) {
   resolveLinks = resolveLinks !== false;
 
+  let page = {type, title, docs, filename, outpath: jsdocPath.join(outdir, filename)};
+  let hash = pageFingerprint(type, title, docs, resolveLinks);
+
+  // an unchanged page is checked too, its broken links are still there
+  if (links && resolveLinks) {
+    checkLinks(docs);
+  }
+
+  if (hash && cache.isFresh(page.outpath, hash)) {
+    return;
+  }
+  writeFile(page, renderFile(view, type, title, docs, resolveLinks), hash);
+}
+
+function renderFile(view, type, title, docs, resolveLinks) {
   let docData = {
     type: type,
     title: title,
     docs: docs
   };
 
-  let outpath = jsdocPath.join(outdir, filename);
   let html = view.render('container.tmpl', docData);
 
   if (resolveLinks) {
     html = jsdocTemplateHelper.resolveLinks(html); // turn {@link foo} into <a href="foodoc.html">foo</a>
   }
-  jsdocFS.writeFileSync(outpath, html, 'utf8');
+  return html;
+}
+
+// every HTML page goes through the `renderPage` and `afterWrite` hooks of the plugins, the check build only
+// renders, so the side effects of `afterWrite` do not run twice
+function writeFile(page, html, hash) {
+  html = plugins.render(html, page);
+  jsdocFS.writeFileSync(page.outpath, html, 'utf8');
+
+  if (hash) {
+    cache.record(page.outpath, hash);
+  }
+  if (!powerReproducibleHelper.isCheckBuild()) {
+    plugins.run('afterWrite', Object.assign({html}, page));
+  }
+}
+
+// the planned pages, in worker threads when `parallel` is on and the templates allow it
+function generatePages(view, pages, tutorials) {
+  let workers = powerConfiguratorHelper.getParallelWorkers();
+  let tutorialList = workers ? flattenTutorials(tutorials).map(tutorial => ({
+    name: tutorial.name,
+    title: tutorial.title,
+    url: jsdocTemplateHelper.tutorialToUrl(tutorial.name)
+  })) : [];
+  let reason = workers ? powerParallelHelper.unsupportedReason(view) : null;
+
+  if (!workers || reason) {
+    if (reason) {
+      diagnostics.info('Rendering the pages serially, %s', reason);
+    }
+    pages.forEach(page => generateFile(view, page.type, page.title, page.docs, page.filename));
+    return Promise.resolve();
+  }
+
+  if (links) {
+    pages.forEach(page => checkLinks(page.docs));
+  }
+
+  let doclets = data().get();
+  let indexes = new Map(doclets.map((doclet, i) => [doclet, i]));
+  let jobs = pages
+    .map(page => ({
+      page: Object.assign({outpath: jsdocPath.join(outdir, page.filename)}, page),
+      hash: pageFingerprint(page.type, page.title, page.docs, true)
+    }))
+    .filter(job => !(job.hash && cache.isFresh(job.page.outpath, job.hash)));
+
+  let setup = powerParallelHelper.createSetup({doclets, urls: jsdocTemplateHelper.longnameToUrl, tutorials: tutorialList, view});
+  let work = jobs.map(job => ({type: job.page.type, title: job.page.title, docs: job.page.docs.map(doc => indexes.get(doc)), resolveLinks: true}));
+
+  diagnostics.debug('Rendering %d page(s) in %d worker(s)', jobs.length, Math.min(workers, jobs.length));
+
+  // written in the planned order once every page is rendered, so the output does not depend on the workers
+  return powerParallelHelper.renderPages(setup, work, workers)
+    .then(pagesHtml => jobs.forEach((job, i) => writeFile(job.page, pagesHtml[i], job.hash)))
+    .catch(e => {
+      diagnostics.warn('Rendering the pages serially, the workers failed: %s', e.message);
+      jobs.forEach(job => writeFile(job.page, renderFile(view, job.page.type, job.page.title, job.page.docs, true), job.hash));
+    });
+}
+
+// the docs of a page and their members, which the page renders too
+function checkLinks(docs) {
+  docs.forEach(doc => {
+    let members = doc.kind === 'globalobj' ? find({memberof: {isUndefined: true}}) : doc.longname ? find({memberof: doc.longname}) : [];
+
+    links.checkDoclet(doc);
+    members.forEach(links.checkDoclet);
+  });
+}
+
+// warnings by default, errors in strict mode, so JSDoc exits with a failure once the documentation is written
+function reportLinks() {
+  let problems = links.problems();
+  let report = powerConfiguratorHelper.isLinkCheckStrict() ? diagnostics.error : diagnostics.warn;
+
+  problems.forEach(problem => report('%s:%s: unresolved %s %s in %s', problem.file || 'unknown file', problem.line || '?',
+    problem.reference, problem.target, problem.longname));
+  diagnostics.info('Checked the links of the pages, %d could not be resolved', problems.length);
+}
+
+function pageFingerprint(type, title, docs, resolveLinks) {
+  return cache ? powerCacheHelper.fingerprint(type, title, resolveLinks, pageInputs(docs)) : null;
+}
+
+// the fingerprints of the docs of a page and of their members, which the page renders too
+function pageInputs(docs) {
+  return docs.map(doc => {
+    let longname = doc.kind === 'globalobj' ? '' : doc.longname;
+    let members = longname === undefined ? [] : membersByMemberof[longname] || [];
+
+    return [docletFingerprint(doc), members.map(docletFingerprint)];
+  });
+}
+
+function docletFingerprint(doclet) {
+  return docletFingerprints.get(doclet) || powerCacheHelper.fingerprint(doclet);
+}
+
+function openCache(templatePath, view) {
+  let filename = powerConfiguratorHelper.getCacheFilename();
+
+  if (!filename) {
+    return null;
+  }
+
+  let templates = jsdocFS.ls(jsdocPath.join(templatePath, 'tmpl'), 3).sort().map(file => jsdocFS.readFileSync(file, 'utf8'));
+  if (view.layout !== 'layout.tmpl') {
+    templates.push(jsdocFS.readFileSync(view.layout, 'utf8'));
+  }
+  if (view.themePath) {
+    templates = templates.concat(powerThemeHelper.listPartials(view.themePath)
+      .map(file => jsdocFS.readFileSync(jsdocPath.join(view.themePath, file), 'utf8')));
+  }
+
+  // snapshot the doclets before any page renders them, params.tmpl rearranges the params it renders
+  docletFingerprints = new Map();
+  membersByMemberof = {};
+  data().each(doclet => {
+    let memberof = doclet.memberof || '';
+
+    docletFingerprints.set(doclet, powerCacheHelper.fingerprint(doclet));
+    membersByMemberof[memberof] = membersByMemberof[memberof] || [];
+    membersByMemberof[memberof].push(doclet);
+  });
+
+  // what every page depends on: a change here rebuilds everything
+  let salt = powerCacheHelper.fingerprint(
+    require('../../package.json').version,
+    env.version,
+    env.conf.templates,
+    powerConfiguratorHelper.settings(),
+    templates,
+    powerConfiguratorHelper.getPlugins(),
+    plugins.sources(),
+    view.nav,
+    view.search,
+    // the date changes on every run, it does not make a page stale
+    Object.assign({}, view.footer, {date: null}),
+    jsdocTemplateHelper.longnameToUrl
+  );
+
+  return powerCacheHelper.open(jsdocPath.join(outdir, filename), salt);
+}
+
+function saveCache() {
+  if (cache) {
+    let stats = cache.stats();
+
+    cache.save();
+    diagnostics.info('Wrote %d page(s), skipped %d unchanged page(s)', stats.written, stats.skipped);
+  }
 }
 
 function generateSourceFiles(view, sourceFiles, encoding) {
@@ -147,7 +474,7 @@ function generateSourceFiles(view, sourceFiles, encoding) {
         code: jsdocTemplateHelper.htmlsafe(jsdocFS.readFileSync(sourceFiles[file].resolved, encoding))
       };
     } catch (e) {
-      jsdocLogger.error('Error while generating source file %s: %s', file, e.message);
+      diagnostics.error('Error while generating source file %s: %s', file, e.message);
     }
 
     generateFile(view, 'Source', sourceFiles[file].shortened, [source], sourceOutfile, false);
@@ -190,97 +517,173 @@ function attachModuleSymbols(doclets, modules) {
   });
 }
 
-function buildMemberNav(items, itemHeading, itemsSeen, linktoFn) {
-  let nav = '';
+function buildMemberNav(items, section, itemsSeen) {
+  let navItems = [];
 
   if (items && items.length) {
-    let itemsNav = '';
-
     items.forEach(function (item) {
-      let methods = find({kind: 'function', memberof: item.longname});
-      let members = find({kind: 'member', memberof: item.longname});
-
       if (!item.hasOwnProperty('longname')) {
-        itemsNav += '<li>' + linktoFn('', item.name);
-        itemsNav += '</li>';
+        navItems.push({
+          label: item.name,
+          longname: null,
+          url: section.id === 'tutorials' ? jsdocTemplateHelper.tutorialToUrl(item.name) : null,
+          lists: []
+        });
       } else if (!itemsSeen.hasOwnProperty(item.longname)) {
-        itemsNav += '<li>' + linktoFn(item.longname, item.name.replace(/^module:/, ''));
-
-        if (powerConfiguratorHelper.shouldDisplayStaticMembers() && members.find(m => m.scope === 'static')) {
-          itemsNav += "<ul class='members'>";
+        navItems.push({
+          label: item.name.replace(/^module:/, ''),
+          longname: item.longname,
+          url: jsdocTemplateHelper.longnameToUrl[item.longname] || null,
+          lists: buildChildNavLists(item).map(list => limitNavItems(list, section.limit, item))
+        });
+        itemsSeen[item.longname] = true;
+      }
+    });
+  }
 
-          members.forEach(member => {
-            if (!member.scope === 'static') return;
-            itemsNav += "<li data-type='member'>";
-            itemsNav += powerTemplateHelper.linkto(member.longname, member.name);
-            itemsNav += "</li>";
-          });
+  return navItems.length ? buildNavSection(section, navItems) : null;
+}
 
-          itemsNav += "</ul>";
-        }
+// the lists shown under a nav item, in display order, as enabled by `powerMode.nav.display`
+function buildChildNavLists(item) {
+  let display = powerConfiguratorHelper.getNavDisplay();
+  let members = find({kind: 'member', memberof: item.longname});
+
+  return [
+    {option: 'static', className: 'members', type: 'static-member', children: members.filter(m => m.scope === 'static')},
+    {option: 'instance', className: 'members', type: 'instance-member', children: members.filter(m => m.scope === 'instance')},
+    {option: 'inner', className: 'members', type: 'inner-member', children: members.filter(m => m.scope === 'inner')},
+    {option: 'methods', className: 'methods', type: 'method', children: find({kind: 'function', memberof: item.longname})},
+    {option: 'events', className: 'events', type: 'event', children: find({kind: 'event', memberof: item.longname})},
+    {option: 'typedefs', className: 'typedefs', type: 'typedef', children: find({kind: 'typedef', memberof: item.longname})}
+  ].filter(list => display[list.option] && list.children.length);
+}
 
-        if (methods.length) {
-          itemsNav += "<ul class='methods'>";
+function buildGlobalNav(globals, section, seen) {
+  let navItems = [];
 
-          methods.forEach(method => {
-            itemsNav += "<li data-type='method'>";
-            itemsNav += powerTemplateHelper.linkto(method.longname, method.name);
-            itemsNav += "</li>";
-          });
+  if (!globals.length) {
+    return null;
+  }
 
-          itemsNav += "</ul>";
-        }
+  globals.forEach(g => {
+    if (g.kind !== 'typedef' && !seen.hasOwnProperty(g.longname)) {
+      navItems.push({
+        label: g.name,
+        longname: g.longname,
+        url: jsdocTemplateHelper.longnameToUrl[g.longname] || null,
+        lists: []
+      });
+    }
+    seen[g.longname] = true;
+  });
 
-        itemsNav += '</li>';
-        itemsSeen[item.longname] = true;
-      }
-    });
+  let navSection = buildNavSection(section, navItems);
 
-    if (itemsNav !== '') {
-      nav += '<h3>' + itemHeading + '</h3><ul>' + itemsNav + '</ul>';
-    }
+  if (!navItems.length) {
+    // turn the heading into a link so you can actually get to the global page
+    navSection.url = jsdocTemplateHelper.longnameToUrl.global;
   }
-
-  return nav;
+  return navSection;
 }
 
 /**
- * Create the navigation sidebar.
+ * Create the model of the navigation sidebar. Sections come in the order, with the headings and the
+ * visibility configured in `powerMode.nav`.
  * @param {object} members The members that will be used to create the sidebar.
- * @return {string} The HTML for the navigation sidebar.
+ * @return {Array.<object>} The sections of the sidebar, see {@link renderNav}.
  */
 function buildNav(members) {
-  let nav = '<h2><a href="index.html">Home</a></h2>';
   let seen = {};
   let seenTutorials = {};
 
-  nav += buildMemberNav(members.classes, 'Classes', seen, powerTemplateHelper.linkto);
-  nav += buildMemberNav(members.modules, 'Modules', {}, powerTemplateHelper.linkto);
-  nav += buildMemberNav(members.externals, 'Externals', seen, powerTemplateHelper.linktoExternal);
-  nav += buildMemberNav(members.events, 'Events', seen, powerTemplateHelper.linkto);
-  nav += buildMemberNav(members.namespaces, 'Namespaces', seen, powerTemplateHelper.linkto);
-  nav += buildMemberNav(members.mixins, 'Mixins', seen, powerTemplateHelper.linkto);
-  nav += buildMemberNav(members.tutorials, 'Tutorials', seenTutorials, powerTemplateHelper.linktoTutorial);
-  nav += buildMemberNav(members.interfaces, 'Interfaces', seen, powerTemplateHelper.linkto);
+  let builders = {
+    classes   : section => buildMemberNav(members.classes, section, seen),
+    modules   : section => buildMemberNav(members.modules, section, {}),
+    externals : section => buildMemberNav(members.externals, section, seen),
+    events    : section => buildMemberNav(members.events, section, seen),
+    namespaces: section => buildMemberNav(members.namespaces, section, seen),
+    mixins    : section => buildMemberNav(members.mixins, section, seen),
+    tutorials : section => buildMemberNav(members.tutorials, section, seenTutorials),
+    interfaces: section => buildMemberNav(members.interfaces, section, seen),
+    global    : section => buildGlobalNav(members.globals, section, seen)
+  };
 
-  if (members.globals.length) {
-    let globalNav = '';
+  return powerConfiguratorHelper.getNavSections()
+    .filter(section => !section.hidden)
+    .map(section => builders[section.id](section))
+    .filter(Boolean);
+}
 
-    members.globals.forEach(g => {
-      if (g.kind !== 'typedef' && !seen.hasOwnProperty(g.longname)) {
-        globalNav += '<li>' + powerTemplateHelper.linkto(g.longname, g.name) + '</li>';
-      }
-      seen[g.longname] = true;
-    });
+function buildNavSection(section, navItems) {
+  return {
+    id: section.id,
+    heading: section.heading,
+    collapsed: section.collapsed,
+    url: null,
+    items: navItems
+  };
+}
 
-    if (!globalNav) {
-      // turn the heading into a link so you can actually get to the global page
-      nav += '<h3>' + powerTemplateHelper.linkto('global', 'Global') + '</h3>';
-    } else {
-      nav += '<h3>Global</h3><ul>' + globalNav + '</ul>';
-    }
+// past the limit, the rest of the list is replaced by a link to the page of the item
+function limitNavItems(list, limit, item) {
+  let entries = list.children.map(child => ({
+    label: child.name,
+    longname: child.longname,
+    url: jsdocTemplateHelper.longnameToUrl[child.longname] || null
+  }));
+  let more = null;
+
+  if (limit && entries.length > limit) {
+    more = {count: entries.length - limit, url: jsdocTemplateHelper.longnameToUrl[item.longname]};
+    entries = entries.slice(0, limit);
   }
 
+  return {type: list.type, className: list.className, entries, more};
+}
+
+/**
+ * Render the navigation sidebar.
+ * @param {Array.<object>} sections The sections built by {@link buildNav}.
+ * @return {string} The HTML for the navigation sidebar.
+ */
+function renderNav(sections) {
+  let nav = '<h2><a href="index.html">Home</a></h2>';
+
+  sections.forEach(section => {
+    let linktoFn = NAV_LINKTO[section.id] || powerTemplateHelper.linkto;
+    let heading = jsdocTemplateHelper.htmlsafe(section.heading);
+    let itemsNav = '';
+
+    if (section.url) {
+      heading = util.format('<a href="%s">%s</a>', section.url, heading);
+    }
+
+    section.items.forEach(item => {
+      itemsNav += '<li>' + linktoFn(item.longname || '', item.label);
+
+      item.lists.forEach(list => {
+        itemsNav += "<ul class='" + list.className + "'>";
+
+        list.entries.forEach(entry => {
+          itemsNav += "<li data-type='" + list.type + "'>";
+          itemsNav += powerTemplateHelper.linkto(entry.longname, entry.label);
+          itemsNav += "</li>";
+        });
+
+        if (list.more) {
+          itemsNav += util.format("<li class='nav-more'><a href=\"%s\">%d more&hellip;</a></li>", list.more.url, list.more.count);
+        }
+        itemsNav += "</ul>";
+      });
+
+      itemsNav += '</li>';
+    });
+
+    nav += util.format('<details class="nav-section" data-section="%s"%s><summary><h3>%s</h3></summary>%s</details>',
+      section.id, section.collapsed ? '' : ' open', heading, itemsNav ? '<ul>' + itemsNav + '</ul>' : '');
+  });
+
   return nav;
 }
 
@@ -301,15 +704,27 @@ function generateTutorial(view, title, tutorial, filename) {
     children: tutorial.children
   };
 
-  let tutorialPath = jsdocPath.join(outdir, filename);
+  let page = {type: 'Tutorial', title, docs: [], filename, outpath: jsdocPath.join(outdir, filename), tutorial: tutorial.name};
+  if (links) {
+    links.checkTutorial(tutorial.name, tutorial.content);
+  }
+
+  let hash = cache
+    ? powerCacheHelper.fingerprint(title, tutorialData.header, tutorialData.content, tutorial.children.map(child => [child.name, child.title]))
+    : null;
+
+  if (hash && cache.isFresh(page.outpath, hash)) {
+    return;
+  }
+
   let html = view.render('tutorial.tmpl', tutorialData);
 
   // yes, you can use {@link} in tutorials too!
   html = jsdocTemplateHelper.resolveLinks(html); // turn {@link foo} into <a href="foodoc.html">foo</a>
-  jsdocFS.writeFileSync(tutorialPath, html, 'utf8');
+  writeFile(page, html, hash);
 }
 
-function buildStaticFiles(conf, templatePath, outdir) {
+function buildStaticFiles(conf, templatePath, themePath, outdir) {
 
   // copy the template's static files to outdir
   let fromDir = jsdocPath.join(templatePath, 'static');
@@ -321,6 +736,11 @@ function buildStaticFiles(conf, templatePath, outdir) {
     jsdocFS.copyFileSync(fileName, toDir);
   });
 
+  // then the theme's, over the template's
+  if (themePath) {
+    powerThemeHelper.copyStaticFiles(themePath, outdir);
+  }
+
   // copy user-specified static files to outdir
   let staticFilePaths;
   let staticFileFilter;
@@ -347,6 +767,56 @@ function buildStaticFiles(conf, templatePath, outdir) {
   }
 }
 
+// after the static files, a theme cannot replace what the settings ask for
+function buildStyleTokens(outdir) {
+  let css = powerStylesHelper.buildTokens(powerConfiguratorHelper.getStyles());
+
+  if (!css) {
+    return null;
+  }
+
+  let filename = 'styles/tokens.css';
+
+  jsdocFS.mkPath(jsdocPath.join(outdir, 'styles'));
+  jsdocFS.writeFileSync(jsdocPath.join(outdir, filename), css, 'utf8');
+  diagnostics.debug('Wrote the style tokens to %s', filename);
+  return filename;
+}
+
+// on the doclets, so the cache sees a page change when a relative of its class does
+function buildInheritanceDiagrams(data, urls) {
+  let diagrams = powerDiagramsHelper.buildInheritance(data().get(), urls);
+
+  data().each(doclet => {
+    if (diagrams.hasOwnProperty(doclet.longname) && powerDiagramsHelper.TYPE_KINDS.indexOf(doclet.kind) > -1) {
+      doclet.inheritanceDiagram = diagrams[doclet.longname];
+    }
+  });
+  diagnostics.debug('Drew %d inheritance diagram(s)', Object.keys(diagrams).length);
+}
+
+// the modules that require a module are listed on its page, like the ones it requires
+function buildModuleDependencies(data, urls) {
+  let graph = powerDiagramsHelper.buildModuleGraph(data().get(), urls);
+
+  if (!graph) {
+    diagnostics.debug('No module requires another, the module dependencies are left out');
+    return null;
+  }
+
+  let requiredBy = {};
+  graph.modules.forEach(module => requiredBy[module.longname] = module.requiredBy);
+
+  data({kind: 'module'}).each(doclet => {
+    if (requiredBy[doclet.longname] && requiredBy[doclet.longname].length) {
+      doclet.requiredBy = requiredBy[doclet.longname].slice();
+    }
+  });
+
+  graph.cycles.forEach(cycle => diagnostics.warn('These modules require one another in a cycle: %s', cycle.join(', ')));
+  return graph;
+}
+
 function buildShortPaths(data, sourceFiles, sourceFilePaths) {
 
   if (sourceFilePaths.length) {
@@ -404,11 +874,242 @@ function buildSignatures(data) {
   });
 }
 
-function generatePages(view, type, members, longname) {
-  let db = taffy(members);
-  let list = jsdocTemplateHelper.find(db, {longname: longname});
-  if (list.length) {
-    generateFile(view, type, list[0].name, list, jsdocTemplateHelper.longnameToUrl[longname]);
+// index the page kinds once, then plan exactly one page per url
+function planPages(members) {
+  let byLongname = {};
+
+  PAGE_TYPES.forEach(pageType => members[pageType.members].forEach(doclet => {
+    let pages = byLongname[doclet.longname] = byLongname[doclet.longname] || {};
+    pages[pageType.type] = (pages[pageType.type] || []).concat([doclet]);
+  }));
+
+  return Object.keys(jsdocTemplateHelper.longnameToUrl)
+    .filter(longname => byLongname.hasOwnProperty(longname))
+    .map(longname => {
+      let type = PAGE_TYPES.map(pageType => pageType.type).filter(type => byLongname[longname][type]).pop();
+      let docs = byLongname[longname][type];
+
+      return {type, title: docs[0].name, docs, filename: jsdocTemplateHelper.longnameToUrl[longname]};
+    });
+}
+
+// the URLs of `longnameToUrl` that lead to a page which is written, a longname can have one without a page
+function pageUrls(pages, members) {
+  let written = new Set(pages.map(page => page.filename));
+  let urls = {};
+
+  if (members.globals.length) {
+    written.add(jsdocTemplateHelper.longnameToUrl.global);
+  }
+  Object.keys(jsdocTemplateHelper.longnameToUrl).forEach(longname => {
+    let url = jsdocTemplateHelper.longnameToUrl[longname];
+
+    if (written.has(url.split('#')[0])) {
+      urls[longname] = url;
+    }
+  });
+  return urls;
+}
+
+function buildSearchIndex(data) {
+  let index = powerSearchHelper.buildSymbolIndex(data().get(), jsdocTemplateHelper.longnameToUrl);
+  let indexPath = jsdocPath.join(outdir, 'scripts', 'search-index.js');
+
+  jsdocFS.mkPath(jsdocPath.dirname(indexPath));
+  jsdocFS.writeFileSync(indexPath, powerSearchHelper.toScript('powerModeSearchIndex', index), 'utf8');
+  diagnostics.debug('Indexed %d symbol(s) for the search box', index.length);
+}
+
+function buildFullTextIndex(data, tutorials) {
+  let urls = {
+    longnameToUrl: jsdocTemplateHelper.longnameToUrl,
+    tutorialToUrl: jsdocTemplateHelper.tutorialToUrl
+  };
+  let index = powerSearchHelper.buildFullTextIndex(data().get(), flattenTutorials(tutorials), urls, powerConfiguratorHelper.getFullTextWeights());
+  let indexPath = jsdocPath.join(outdir, 'scripts', 'search-fulltext.js');
+
+  jsdocFS.mkPath(jsdocPath.dirname(indexPath));
+  jsdocFS.writeFileSync(indexPath, powerSearchHelper.toScript('powerModeFullTextIndex', index), 'utf8');
+  diagnostics.debug('Indexed %d document(s) and %d term(s) for the search page', index.documents.length, Object.keys(index.terms).length);
+}
+
+function flattenTutorials(node) {
+  return node.children.reduce((tutorials, child) => tutorials.concat([child], flattenTutorials(child)), []);
+}
+
+function buildCoverageOutput(view, data, filename) {
+  let coverage = powerCoverageHelper.buildCoverage(data().get());
+  let minimum = powerConfiguratorHelper.getCoverageMinimum();
+  let jsonFilename = powerConfiguratorHelper.getCoverageFilename();
+  let html = view.render('coverage.tmpl', {title: 'Documentation coverage', coverage, minimum});
+
+  writeFile({type: 'Coverage', title: 'Documentation coverage', docs: [], filename, outpath: jsdocPath.join(outdir, filename)}, html, null);
+
+  if (jsonFilename) {
+    let jsonPath = jsdocPath.join(outdir, jsonFilename);
+
+    jsdocFS.mkPath(jsdocPath.dirname(jsonPath));
+    jsdocFS.writeFileSync(jsonPath, JSON.stringify(coverage, null, 2), 'utf8');
+  }
+
+  diagnostics.info('Documentation coverage: %s, %d of %d checks passed, see %s', powerCoverageHelper.formatPercent(coverage.total.percent),
+    coverage.total.passed, coverage.total.checks, filename);
+
+  // an error, so JSDoc exits with a failure once the documentation is written
+  if (minimum !== null && coverage.total.percent < minimum) {
+    diagnostics.error('The documentation coverage, %s, is below the minimum of %s',
+      powerCoverageHelper.formatPercent(coverage.total.percent), powerCoverageHelper.formatPercent(minimum));
+  }
+}
+
+function generateDependenciesPage(view, dependencies, filename) {
+  let html = view.render('dependencies.tmpl', {title: 'Module dependencies', dependencies});
+
+  writeFile({type: 'Dependencies', title: 'Module dependencies', docs: [], filename, outpath: jsdocPath.join(outdir, filename)}, html, null);
+  diagnostics.info('Drew the dependencies of %d module(s), %d cycle(s), see %s',
+    dependencies.modules.filter(module => !module.external).length, dependencies.cycles.length, filename);
+}
+
+function generateEventsPage(view, events, filename) {
+  let html = view.render('events.tmpl', {title: 'Events', events});
+
+  writeFile({type: 'Events', title: 'Events', docs: [], filename, outpath: jsdocPath.join(outdir, filename)}, html, null);
+  diagnostics.info('Indexed %d event(s), see %s', events.events.length, filename);
+}
+
+function generateSearchPage(view, filename) {
+  let html = view.render('search.tmpl', {title: 'Search'});
+  writeFile({type: 'Search', title: 'Search', docs: [], filename, outpath: jsdocPath.join(outdir, filename)}, html, null);
+}
+
+function buildJsonOutput(data, nav) {
+  let filename = powerConfiguratorHelper.getJsonFilename();
+  let model = powerJsonHelper.buildModel({doclets: data().get(), nav, urls: jsdocTemplateHelper.longnameToUrl});
+  let jsonPath = jsdocPath.join(outdir, filename);
+
+  jsdocFS.mkPath(jsdocPath.dirname(jsonPath));
+  jsdocFS.writeFileSync(jsonPath, JSON.stringify(model, null, 2), 'utf8');
+  diagnostics.info('Wrote the JSON model of %d doclet(s) to %s', model.doclets.length, filename);
+}
+
+function buildMarkdownOutput(members, opts) {
+  let directory = powerConfiguratorHelper.getMarkdownDirectory();
+  let packageInfo = find({kind: 'package'})[0];
+  let byUrl = {};
+  let pages = [];
+
+  [members.classes, members.modules, members.namespaces, members.mixins, members.externals, members.interfaces]
+    .reduce((doclets, list) => doclets.concat(list), [])
+    .forEach(doclet => {
+      let url = jsdocTemplateHelper.longnameToUrl[doclet.longname];
+      if (url && url.indexOf('#') === -1) {
+        byUrl[url] = (byUrl[url] || []).concat([doclet]);
+      }
+    });
+
+  jsdocFS.mkPath(jsdocPath.join(outdir, directory));
+
+  Object.keys(byUrl).forEach(url => {
+    let filename = powerMarkdownHelper.toMarkdownFilename(url);
+    let markdown = byUrl[url].map(doclet => powerMarkdownHelper.renderPage(doclet, find)).join('\n');
+
+    markdown = powerMarkdownHelper.rewriteLinks(jsdocTemplateHelper.resolveLinks(markdown), byUrl);
+    jsdocFS.writeFileSync(jsdocPath.join(outdir, directory, filename), markdown, 'utf8');
+    pages.push({kind: byUrl[url][0].kind, name: byUrl[url][0].name.replace(/^module:/, ''), filename});
+  });
+
+  let title = opts.mainpagetitle || (packageInfo && packageInfo.name) || 'Documentation';
+  jsdocFS.writeFileSync(jsdocPath.join(outdir, directory, 'index.md'), powerMarkdownHelper.renderIndex(title, pages), 'utf8');
+  diagnostics.info('Wrote %d Markdown page(s) to %s', pages.length, directory);
+}
+
+function buildTypescriptOutput(data) {
+  let directory = powerConfiguratorHelper.getTypescriptDirectory();
+  let declarations = powerTypescriptHelper.buildDeclarations(data().get());
+  let files = Object.keys(declarations.files);
+
+  files.forEach(file => {
+    let filePath = jsdocPath.join(outdir, directory, file);
+
+    jsdocFS.mkPath(jsdocPath.dirname(filePath));
+    jsdocFS.writeFileSync(filePath, declarations.files[file], 'utf8');
+  });
+
+  declarations.problems.forEach(problem => diagnostics.warn('%s (%s:%s): %s',
+    problem.longname, problem.file || 'unknown file', problem.line || '?', problem.message));
+  diagnostics.info('Wrote %d TypeScript declaration file(s) to %s, %d type(s) could not be translated',
+    files.length, directory, declarations.problems.length);
+}
+
+// the pages find the other versions in the root of the destination, which every build updates
+function buildVersionSwitcher() {
+  let packageInfo = find({kind: 'package'})[0];
+  let root = jsdocPath.normalize(powerReproducibleHelper.destination(env.opts.destination));
+
+  if (!packageInfo || !packageInfo.name || !packageInfo.version) {
+    diagnostics.warn('Versioned documentation needs the package.json of the project among the sources, the version switcher is left out');
+    return null;
+  }
+  if (jsdocPath.resolve(root) === jsdocPath.resolve(outdir)) {
+    diagnostics.warn('Versioned documentation needs an output.layout with a directory per version, the version switcher is left out');
+    return null;
+  }
+
+  return {
+    current: packageInfo.version,
+    name: packageInfo.name,
+    path: toUrlPath(jsdocPath.relative(root, outdir)),
+    root: toUrlPath(jsdocPath.relative(outdir, root))
+  };
+}
+
+function saveVersions(versions) {
+  let root = jsdocPath.normalize(powerReproducibleHelper.destination(env.opts.destination));
+  let pages = jsdocFS.readdirSync(outdir).filter(file => /\.html$/.test(file));
+
+  powerVersionsHelper.updateIndex(root, {name: versions.name, version: versions.current, path: versions.path, pages});
+}
+
+function saveLatestAlias() {
+  let packageInfo = find({kind: 'package'})[0];
+  let root = jsdocPath.normalize(powerReproducibleHelper.destination(env.opts.destination));
+
+  if (!packageInfo || !packageInfo.name || !packageInfo.version) {
+    diagnostics.warn('The latest alias needs the package.json of the project among the sources, it is not updated');
+    return;
+  }
+
+  let alias = powerOutputHelper.expandLayout(powerOutputHelper.aliasPath(powerConfiguratorHelper.getOutputLayout()), packageInfo);
+  powerOutputHelper.updateLatestAlias(root, alias, outdir, packageInfo.version, powerConfiguratorHelper.getLatestAlias());
+}
+
+function toUrlPath(relative) {
+  return relative.split(jsdocPath.sep).join('/') + '/';
+}
+
+// the report holds timings, it differs from one build to the next
+function checkReproducibility() {
+  let ignored = [powerConfiguratorHelper.getReportFilename()].filter(Boolean);
+
+  return powerReproducibleHelper.runCheck(jsdocPath.normalize(env.opts.destination), outdir, ignored).then(result => {
+    result.differences.forEach(difference => diagnostics.error('Not reproducible: %s, %s', difference.file, difference.reason));
+
+    if (!result.differences.length) {
+      diagnostics.info('Reproducible: a second build wrote the same %d file(s)', result.compared);
+    }
+  }, e => diagnostics.error('Unable to check the reproducibility: %s', e.message));
+}
+
+function buildReport() {
+  let filename = powerConfiguratorHelper.getReportFilename();
+
+  if (filename) {
+    let report = powerDiagnosticsHelper.buildReport(powerConfiguratorHelper.settings());
+    let reportPath = jsdocPath.join(outdir, filename);
+
+    jsdocFS.mkPath(jsdocPath.dirname(reportPath));
+    jsdocFS.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+    diagnostics.info('Wrote the powerMode report to %s', filename);
   }
 }
 
@@ -416,9 +1117,10 @@ function buildOutputDirectory() {
   // update outdir if necessary, then create outdir
   let packageInfo = (find({kind: 'package'}) || [])[0];
   if (packageInfo && packageInfo.name) {
-    outdir = jsdocPath.join(outdir, packageInfo.name, (packageInfo.version || ''));
+    outdir = jsdocPath.join(outdir, powerOutputHelper.expandLayout(powerConfiguratorHelper.getOutputLayout(), packageInfo));
   }
   jsdocFS.mkPath(outdir);
+  diagnostics.debug('Writing the documentation to %s', outdir);
 }
 
 function buildSourceFileLists(data, sourceFiles, sourceFilePaths) {
@@ -0,0 +1,120 @@
+/*global document, window */
+(function() {
+  var input = document.getElementById('search-page-input');
+  var summary = document.getElementById('search-page-summary');
+  var results = document.getElementById('search-page-results');
+  var index = window.powerModeFullTextIndex || {documents: [], terms: {}};
+
+  if (!input || !results) {
+    return;
+  }
+
+  // must match the tokenizer of helpers/power-search.helper.js
+  function tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9_$\u00c0-\uffff]+/)
+      .filter(function(token) {
+        return token.length > 1;
+      });
+  }
+
+  function readQuery() {
+    var match = /[?&]q=([^&]*)/.exec(window.location.search);
+    var query = match ? match[1].replace(/\+/g, ' ') : '';
+
+    // a malformed escape, like `q=100%`, is searched for as it was typed
+    try {
+      return decodeURIComponent(query);
+    } catch (e) {
+      return query;
+    }
+  }
+
+  // exact terms count fully, longer terms starting with a query token count half
+  function search(tokens) {
+    var scores = {};
+    var matched = {};
+    var hits = [];
+
+    Object.keys(index.terms).forEach(function(term) {
+      tokens.forEach(function(token, t) {
+        var factor = term === token ? 1 : (term.indexOf(token) === 0 ? 0.5 : 0);
+        var postings = index.terms[term];
+        var i;
+
+        if (!factor) {
+          return;
+        }
+
+        for (i = 0; i < postings.length; i += 2) {
+          scores[postings[i]] = (scores[postings[i]] || 0) + postings[i + 1] * factor;
+          matched[postings[i]] = matched[postings[i]] || {};
+          matched[postings[i]][t] = true;
+        }
+      });
+    });
+
+    // every token has to match somewhere in the document
+    Object.keys(scores).forEach(function(id) {
+      if (Object.keys(matched[id]).length === tokens.length) {
+        hits.push({document: index.documents[id], score: scores[id]});
+      }
+    });
+
+    return hits.sort(function(a, b) {
+      return (b.score - a.score) || (a.document[0] < b.document[0] ? -1 : (a.document[0] > b.document[0] ? 1 : 0));
+    });
+  }
+
+  function highlight(element, text, tokens) {
+    var pattern = new RegExp('(' + tokens.map(function(token) {
+      return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('|') + ')', 'gi');
+
+    String(text || '').split(pattern).forEach(function(part, i) {
+      var mark;
+
+      // the captured matches sit at the odd positions of the split
+      if (i % 2) {
+        mark = document.createElement('mark');
+        mark.textContent = part;
+        element.appendChild(mark);
+      } else if (part) {
+        element.appendChild(document.createTextNode(part));
+      }
+    });
+  }
+
+  function render(query, tokens, hits) {
+    summary.textContent = !tokens.length
+      ? 'Type at least two characters to search.'
+      : hits.length + ' result' + (hits.length === 1 ? '' : 's') + ' for "' + query + '"';
+
+    hits.forEach(function(hit) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      var kind = document.createElement('span');
+      var excerpt = document.createElement('p');
+
+      link.href = hit.document[1];
+      highlight(link, hit.document[0], tokens);
+      kind.className = 'search-kind';
+      kind.textContent = hit.document[2];
+      highlight(excerpt, hit.document[3], tokens);
+
+      item.appendChild(link);
+      item.appendChild(kind);
+      if (hit.document[3]) {
+        item.appendChild(excerpt);
+      }
+      results.appendChild(item);
+    });
+  }
+
+  var query = readQuery();
+  var tokens = tokenize(query);
+
+  input.value = query;
+  render(query, tokens, tokens.length ? search(tokens) : []);
+})();
@@ -1,51 +1,178 @@
-$(document).ready(() => {
-  jQuery.expr[':'].Contains = (a,i,m) => {
-    return (a.textContent || a.innerText || "").toUpperCase().indexOf(m[3].toUpperCase())>=0;
-  };
-
-  // on search
-  $("#nav-search").on("keyup", (event) => {
-    if (!$("#nav-search").val()) {
-      // no search, show all results
-      $("nav > ul > li").show();
-
-      if (typeof hideAllButCurrent === "function") {
-        // let's do what ever collapse wants to do
-        hideAllButCurrent();
-      } else {
-        // menu by default should be opened
-        $("nav > ul > li > ul li").show();
+/*global document, window */
+(function() {
+  var input = document.getElementById('nav-search');
+  var results = document.getElementById('nav-search-results');
+  var index = window.powerModeSearchIndex || [];
+  var limit;
+  var page;
+
+  if (!input || !results) {
+    return;
+  }
+
+  limit = parseInt(input.getAttribute('data-results'), 10) || 20;
+  page = input.getAttribute('data-page');
+
+  function contains(text, query) {
+    return (text || '').toLowerCase().indexOf(query) > -1;
+  }
+
+  function childrenByTag(element, tagName) {
+    var children = [];
+    var i;
+
+    for (i = 0; i < element.children.length; i++) {
+      if (element.children[i].tagName === tagName) {
+        children.push(element.children[i]);
       }
-    } else {
-      // we are searching
-      // show all parents
-      $("nav > ul > li").show();
-
-      // hide all results
-      $("nav > ul > li > ul li").hide();
-
-      // show results matching filter
-      $("nav > ul > li > ul").find("a:Contains("+$("#nav-search").val()+")").parent().show();
-
-      // hide parents without children
-      $("nav > ul > li").each(() => {
-        if ($(this).children("ul").length === 0) {
-          // has no child at all
-          $(this).hide();
-        } else if ($(this).find("ul").children(':visible').length == 0) {
-          // has no visible child
-          $(this).hide();
-        }
-      });
     }
-  });
-});
+    return children;
+  }
+
+  function score(entry, query) {
+    var name = (entry.name || '').toLowerCase();
+
+    if (name === query) {
+      return 100;
+    }
+    if (name.indexOf(query) === 0) {
+      return 80;
+    }
+    if (name.indexOf(query) > -1) {
+      return 60;
+    }
+    if (contains(entry.longname, query)) {
+      return 40;
+    }
+    if (contains(entry.summary, query)) {
+      return 20;
+    }
+    return 0;
+  }
+
+  function search(query) {
+    var hits = [];
+    var i;
+    var points;
+
+    for (i = 0; i < index.length; i++) {
+      points = score(index[i], query);
+      if (points) {
+        hits.push({entry: index[i], score: points});
+      }
+    }
+
+    hits.sort(function(a, b) {
+      return (b.score - a.score) || (a.entry.longname < b.entry.longname ? -1 : (a.entry.longname > b.entry.longname ? 1 : 0));
+    });
+    return hits.slice(0, limit);
+  }
+
+  function renderResults(query, hits) {
+    var all;
+    var allLink;
+
+    results.innerHTML = '';
+
+    hits.forEach(function(hit) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      var name = document.createElement('span');
+      var kind = document.createElement('span');
+      var summary = document.createElement('span');
+
+      link.href = hit.entry.url;
+      name.className = 'search-name';
+      name.textContent = hit.entry.longname.replace(/^module:/, '');
+      kind.className = 'search-kind';
+      kind.textContent = hit.entry.kind;
+      summary.className = 'search-summary';
+      summary.textContent = hit.entry.summary;
 
-function hideAllButCurrent() {
-  // by default all submenut items are hidden
-  $("nav > ul > li > ul li").hide();
+      link.appendChild(name);
+      link.appendChild(kind);
+      item.appendChild(link);
+      if (hit.entry.summary) {
+        item.appendChild(summary);
+      }
+      results.appendChild(item);
+    });
+
+    // the search page also looks into descriptions, parameters, examples and tutorials
+    if (page && query) {
+      all = document.createElement('li');
+      allLink = document.createElement('a');
+
+      all.className = 'search-all';
+      allLink.href = page + '?q=' + encodeURIComponent(query);
+      allLink.textContent = 'All results for "' + query + '"';
+      all.appendChild(allLink);
+      results.appendChild(all);
+    }
+
+    results.hidden = !results.firstChild;
+  }
+
+  // show the sidebar links matching the query, and the items and sections holding them
+  function filterNav(query) {
+    var sections = document.querySelectorAll('nav .nav-section');
+    var i;
+
+    for (i = 0; i < sections.length; i++) {
+      filterSection(sections[i], query);
+    }
+  }
+
+  function filterSection(section, query) {
+    var visible = 0;
+
+    if (!section.hasAttribute('data-open')) {
+      section.setAttribute('data-open', section.open ? 'true' : 'false');
+    }
+
+    childrenByTag(section, 'UL').forEach(function(list) {
+      childrenByTag(list, 'LI').forEach(function(item) {
+        var link = childrenByTag(item, 'A')[0];
+        var matchesItem = !query || (link && contains(link.textContent, query));
+        var matchesChild = false;
 
-  // only current page (if it exists) should be opened
-  var file = window.location.pathname.split("/").pop();
-  $("nav > ul > li > a[href^='"+file+"']").parent().find("> ul li").show();
-}
+        childrenByTag(item, 'UL').forEach(function(childList) {
+          childrenByTag(childList, 'LI').forEach(function(child) {
+            var matches = matchesItem || contains(child.textContent, query);
+
+            child.hidden = !matches;
+            matchesChild = matchesChild || matches;
+          });
+        });
+
+        item.hidden = !(matchesItem || matchesChild);
+        visible += item.hidden ? 0 : 1;
+      });
+    });
+
+    section.hidden = !!query && visible === 0;
+    section.open = query ? true : section.getAttribute('data-open') === 'true';
+  }
+
+  function update() {
+    var query = input.value.trim().toLowerCase();
+
+    filterNav(query);
+    renderResults(input.value.trim(), query ? search(query) : []);
+  }
+
+  input.addEventListener('input', update);
+  input.addEventListener('keydown', function(event) {
+    var first;
+
+    if (event.key === 'Enter') {
+      first = results.querySelector('a');
+      if (first) {
+        window.location.href = first.href;
+      }
+    } else if (event.key === 'Escape') {
+      input.value = '';
+      update();
+    }
+  });
+})();
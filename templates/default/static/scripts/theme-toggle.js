@@ -0,0 +1,46 @@
+/*global document, window */
+(function() {
+  var STORAGE_KEY = 'powerMode.theme';
+  var root = document.documentElement;
+  var button = document.getElementById('theme-toggle');
+  var media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+  if (!button) {
+    return;
+  }
+
+  // the palette in use: the one picked with the toggle, else the one the system prefers
+  function current() {
+    return root.getAttribute('data-theme') || (media && media.matches ? 'dark' : 'light');
+  }
+
+  function update() {
+    var next = current() === 'dark' ? 'light' : 'dark';
+
+    button.textContent = next === 'dark' ? 'Dark mode' : 'Light mode';
+    button.setAttribute('aria-label', 'Switch to the ' + next + ' palette');
+  }
+
+  function store(theme) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, theme);
+    } catch (e) {
+      // storage is off (private browsing, file:// in some browsers), the choice lasts for this page
+    }
+  }
+
+  button.addEventListener('click', function() {
+    var theme = current() === 'dark' ? 'light' : 'dark';
+
+    root.setAttribute('data-theme', theme);
+    store(theme);
+    update();
+  });
+
+  if (media && media.addEventListener) {
+    media.addEventListener('change', update);
+  }
+
+  update();
+  button.hidden = false;
+})();
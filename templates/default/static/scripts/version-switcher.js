@@ -0,0 +1,47 @@
+/*global document, window */
+(function() {
+  var select = document.getElementById('version-switcher');
+  var index = window.powerModeVersions;
+  var current;
+  var root;
+  var page;
+
+  if (!select || !index || !index.versions) {
+    return;
+  }
+
+  current = select.getAttribute('data-current');
+  root = select.getAttribute('data-root');
+  page = window.location.pathname.split('/').pop() || 'index.html';
+
+  function label(version) {
+    return version.version + (version.version === index.latest ? ' (latest)' : '');
+  }
+
+  // the same page in the other version when it has it, its home page otherwise
+  function target(version) {
+    var hasPage = version.pages && version.pages.indexOf(page) > -1;
+
+    return root + version.path + (hasPage ? page + window.location.hash : 'index.html');
+  }
+
+  select.innerHTML = '';
+  index.versions.forEach(function(version, i) {
+    var option = document.createElement('option');
+
+    option.value = String(i);
+    option.textContent = label(version);
+    option.selected = version.version === current;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', function() {
+    var version = index.versions[parseInt(select.value, 10)];
+
+    if (version && version.version !== current) {
+      window.location.href = target(version);
+    }
+  });
+
+  select.hidden = false;
+})();
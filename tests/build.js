@@ -0,0 +1,64 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+const ROOT = path.join(__dirname, '..');
+
+// a build that hangs fails the test instead of blocking the run
+const TIMEOUT = 5 * 60 * 1000;
+
+module.exports = {
+  build,
+  readJson,
+  remove
+};
+
+/**
+ * Run JSDoc with a test configuration, from the root of the repository like `npm test` does.
+ * @param {string} conf The configuration, relative to `tests/`.
+ * @param {object=} overrides Settings merged over the `opts`, `powerMode` and `source` blocks of the configuration.
+ * @return {object} The exit `status` of JSDoc, everything it `output` and the absolute `destination`.
+ */
+function build(conf, overrides) {
+  let config = JSON.parse(fs.readFileSync(path.join(__dirname, conf), 'utf8'));
+  let confPath = path.join(os.tmpdir(), util.format('powermode-%d-%s', process.pid, path.basename(conf)));
+
+  ['opts', 'powerMode', 'source'].forEach(block => config[block] = Object.assign({}, config[block], (overrides || {})[block]));
+  fs.writeFileSync(confPath, JSON.stringify(config), 'utf8');
+
+  try {
+    let result = childProcess.spawnSync(process.execPath, [require.resolve('jsdoc/jsdoc.js'), '-c', confPath], {
+      cwd: ROOT,
+      encoding: 'utf8',
+      timeout: TIMEOUT
+    });
+
+    return {
+      status: result.status,
+      output: (result.stdout || '') + (result.stderr || ''),
+      destination: path.resolve(ROOT, config.opts.destination)
+    };
+  } finally {
+    fs.unlinkSync(confPath);
+  }
+}
+
+/**
+ * Read a JSON file a build wrote.
+ * @param {string} directory The destination of the build.
+ * @param {string} filename The file, relative to `directory`.
+ * @return {*} The parsed content.
+ */
+function readJson(directory, filename) {
+  return JSON.parse(fs.readFileSync(path.join(directory, filename), 'utf8'));
+}
+
+/**
+ * Remove what an earlier run left in a destination.
+ * @param {string} directory The directory.
+ */
+function remove(directory) {
+  fs.rmSync(directory, {recursive: true, force: true});
+}
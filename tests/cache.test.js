@@ -0,0 +1,63 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const testBuild = require('./build');
+
+// the sources are copied, so the test can edit them
+const FIXTURE = path.join(__dirname, 'fixtures', 'cache', 'src');
+const SOURCES = path.join(__dirname, 'generated-files', 'cache-src');
+const DESTINATION = path.join(__dirname, 'generated-files', 'cache');
+
+// a page the cache skips keeps what was appended to it, a page it rebuilds loses it; only the pages in the
+// manifest are compared, the search page is written every time
+const STALE = '<!-- stale -->';
+
+testBuild.remove(DESTINATION);
+testBuild.remove(SOURCES);
+fs.mkdirSync(SOURCES, {recursive: true});
+fs.readdirSync(FIXTURE).forEach(file => fs.copyFileSync(path.join(FIXTURE, file), path.join(SOURCES, file)));
+
+let pages = build();
+assert.ok(pages.indexOf('Alpha.html') > -1 && pages.indexOf('Beta.html') > -1, 'the classes have a page');
+console.log('ok cache first build');
+
+assert.deepEqual(rebuilt(), [], 'nothing changed');
+console.log('ok cache unchanged');
+
+edit('beta.js', 'Stop the beta.', 'Stop the beta, now.');
+assert.deepEqual(rebuilt(), ['Beta.html', 'beta.js.html'], 'a comment changed');
+console.log('ok cache comment');
+
+edit('alpha.js', 'function Alpha() {}', 'function Alpha() {}\n\n/**\n * A symbol more.\n */\nfunction gamma() {}');
+pages = pages.concat('global.html').sort();
+assert.deepEqual(rebuilt(), pages, 'a symbol was added');
+console.log('ok cache symbol');
+
+assert.deepEqual(rebuilt({footer: {generator: false}}), pages, 'a setting changed');
+console.log('ok cache setting');
+
+fs.unlinkSync(path.join(DESTINATION, '.powermode-cache.json'));
+assert.deepEqual(rebuilt({footer: {generator: false}}), pages, 'the manifest was removed');
+console.log('ok cache manifest');
+
+// the pages of the build the manifest keeps
+function build(powerMode) {
+  let result = testBuild.build('template-cache.conf.json', {powerMode, source: {include: [SOURCES]}});
+
+  assert.equal(result.status, 0, result.output);
+  return Object.keys(testBuild.readJson(DESTINATION, '.powermode-cache.json').files).sort();
+}
+
+// the pages the build wrote again
+function rebuilt(powerMode) {
+  fs.readdirSync(DESTINATION)
+    .filter(file => path.extname(file) === '.html')
+    .forEach(file => fs.appendFileSync(path.join(DESTINATION, file), STALE, 'utf8'));
+
+  return build(powerMode).filter(file => fs.readFileSync(path.join(DESTINATION, file), 'utf8').indexOf(STALE) === -1);
+}
+
+function edit(file, text, replacement) {
+  let filePath = path.join(SOURCES, file);
+  fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace(text, replacement), 'utf8');
+}
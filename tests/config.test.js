@@ -0,0 +1,60 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const testBuild = require('./build');
+const util = require('util');
+
+// an invalid setting is reported with its path, and nothing is generated
+const INVALID = [
+  {
+    name: 'wrong type',
+    powerMode: {displayStaticMembers: 'yes'},
+    errors: ['powerMode.displayStaticMembers must be of type boolean, got string "yes"']
+  },
+  {
+    name: 'unknown value',
+    powerMode: {sort: 'alphabetic'},
+    errors: ['powerMode.sort must be one of']
+  },
+  {
+    name: 'typo',
+    powerMode: {displayStaticMember: true},
+    errors: ['powerMode.displayStaticMember is not a known option, did you mean "displayStaticMembers"?']
+  },
+  {
+    name: 'nested typo',
+    powerMode: {nav: {sections: {classes: {colapsed: true}}}},
+    errors: ['powerMode.nav.sections.classes.colapsed is not a known option, did you mean "collapsed"?']
+  },
+  {
+    name: 'unknown option without a likely match',
+    powerMode: {somethingElse: true},
+    errors: ['powerMode.somethingElse is not a known option'],
+    absent: ['did you mean']
+  },
+  {
+    name: 'every error at once',
+    powerMode: {displayStaticMembers: 1, parallel: -1},
+    errors: ['powerMode.displayStaticMembers must be of type boolean', 'powerMode.parallel', 'has 2 error(s)']
+  }
+];
+
+let valid = build({});
+assert.equal(valid.status, 0, valid.output);
+assert.ok(fs.existsSync(path.join(valid.destination, 'index.html')), 'index.html is written');
+console.log('ok config valid');
+
+INVALID.forEach(test => {
+  let result = build(test.powerMode);
+
+  assert.notEqual(result.status, 0, test.name);
+  test.errors.forEach(error => assert.ok(result.output.indexOf(error) > -1, util.format('%s: expected "%s" in\n%s', test.name, error, result.output)));
+  (test.absent || []).forEach(text => assert.equal(result.output.indexOf(text), -1, util.format('%s: unexpected "%s" in\n%s', test.name, text, result.output)));
+  assert.ok(!fs.existsSync(result.destination), test.name + ' writes nothing');
+  console.log('ok config %s', test.name);
+});
+
+function build(powerMode) {
+  testBuild.remove(path.join(__dirname, 'generated-files', 'config'));
+  return testBuild.build('template-config.conf.json', {powerMode});
+}
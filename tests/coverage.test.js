@@ -0,0 +1,37 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const testBuild = require('./build');
+
+const DESTINATION = path.join(__dirname, 'generated-files', 'coverage');
+
+// `subtract` misses the description of a parameter and a `@returns`, 10 of the 12 checks pass
+let result = build({enabled: true});
+let coverage = testBuild.readJson(DESTINATION, 'coverage.json');
+
+assert.equal(result.status, 0, result.output);
+assert.deepEqual([coverage.total.passed, coverage.total.checks], [10, 12]);
+assert.deepEqual(coverage.files[0].missing, [{
+  longname: 'subtract',
+  kind: 'function',
+  line: 16,
+  problems: ['a description of the parameter b', 'a @returns']
+}]);
+console.log('ok coverage report');
+
+result = build({minimum: 80});
+assert.equal(result.status, 0, result.output);
+assert.equal(result.output.indexOf('below the minimum'), -1, result.output);
+console.log('ok coverage above the minimum');
+
+result = build({minimum: 90});
+assert.notEqual(result.status, 0, 'the build fails below the minimum');
+assert.ok(result.output.indexOf('The documentation coverage, 83.3%, is below the minimum of 90.0%') > -1, result.output);
+assert.ok(fs.existsSync(path.join(DESTINATION, 'global.html')), 'the documentation is written all the same');
+assert.ok(fs.existsSync(path.join(DESTINATION, 'coverage.html')), 'the coverage page is written all the same');
+console.log('ok coverage below the minimum');
+
+function build(coverage) {
+  testBuild.remove(DESTINATION);
+  return testBuild.build('template-coverage.conf.json', {powerMode: {coverage}});
+}
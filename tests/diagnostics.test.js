@@ -0,0 +1,43 @@
+const assert = require('assert').strict;
+const path = require('path');
+const testBuild = require('./build');
+
+// what JSDoc prints is up to `--verbose` and `--debug`, the configuration itself never shows
+const LEVELS = [
+  {name: 'default', opts: {}, shown: [], hidden: ['Timings:', 'Resolved settings:']},
+  {name: 'verbose', opts: {verbose: true}, shown: ['Timings:'], hidden: ['Resolved settings:']},
+  {name: 'debug', opts: {debug: true}, shown: ['Timings:', 'Resolved settings:'], hidden: []}
+];
+
+LEVELS.forEach(level => {
+  let result = build({opts: level.opts});
+  let output = withoutJSDoc(result.output);
+
+  assert.equal(result.status, 0, result.output);
+  level.shown.forEach(text => assert.ok(output.indexOf(text) > -1, level.name + ' shows ' + text));
+  level.hidden.forEach(text => assert.equal(output.indexOf(text), -1, level.name + ' hides ' + text));
+  assert.equal(output.indexOf('intranet.example'), -1, level.name + ' does not print the configuration');
+  console.log('ok diagnostics %s', level.name);
+});
+
+let result = build({powerMode: {diagnostics: {report: 'reports/powermode.json'}}});
+let report = testBuild.readJson(result.destination, 'reports/powermode.json');
+
+assert.equal(result.status, 0, result.output);
+assert.equal(report.reportVersion, 1);
+assert.equal(report.settings.sort, 'alphabetical');
+assert.equal(report.settings.displayStaticMembers, false, 'the settings are resolved, defaults included');
+assert.equal(JSON.stringify(report).indexOf('intranet.example'), -1, 'the report holds the powerMode settings only');
+assert.ok(report.diagnostics.every(diagnostic => diagnostic.level && diagnostic.scope && typeof diagnostic.message === 'string'));
+assert.deepEqual(report.timings.map(timing => timing.phase).filter(phase => phase === 'pages'), ['pages']);
+console.log('ok diagnostics report');
+
+function build(overrides) {
+  testBuild.remove(path.join(__dirname, 'generated-files', 'diagnostics'));
+  return testBuild.build('template-diagnostics.conf.json', overrides);
+}
+
+// JSDoc prints its own environment with `--debug`, configuration included
+function withoutJSDoc(output) {
+  return output.split('\n').filter(line => line.indexOf('DEBUG: Environment info:') !== 0).join('\n');
+}
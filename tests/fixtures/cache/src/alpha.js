@@ -0,0 +1,13 @@
+/**
+ * The class whose page stays as it is.
+ * @class
+ */
+function Alpha() {}
+
+/**
+ * Start the alpha.
+ * @return {boolean} Whether it started.
+ */
+Alpha.prototype.start = function() {
+  return true;
+};
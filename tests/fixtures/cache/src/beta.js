@@ -0,0 +1,13 @@
+/**
+ * The class whose comment the test edits.
+ * @class
+ */
+function Beta() {}
+
+/**
+ * Stop the beta.
+ * @return {boolean} Whether it stopped.
+ */
+Beta.prototype.stop = function() {
+  return true;
+};
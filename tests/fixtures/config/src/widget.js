@@ -0,0 +1,12 @@
+/**
+ * A widget, enough for JSDoc to have something to document.
+ * @class
+ * @param {string} name The name of the widget.
+ */
+function Widget(name) {
+  /**
+   * The name of the widget.
+   * @type {string}
+   */
+  this.name = name;
+}
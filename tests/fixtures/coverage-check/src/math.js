@@ -0,0 +1,18 @@
+/**
+ * Add two numbers, fully documented.
+ * @param {number} a The first number.
+ * @param {number} b The second number.
+ * @return {number} The sum.
+ */
+function add(a, b) {
+  return a + b;
+}
+
+/**
+ * Subtract two numbers, without the description of a parameter and without a return value.
+ * @param {number} a The first number.
+ * @param {number} b
+ */
+function subtract(a, b) {
+  return a - b;
+}
@@ -0,0 +1,7 @@
+/**
+ * The application, which requires a module of the project, one with a typo and one from npm.
+ * @module app
+ * @requires store
+ * @requires stroe
+ * @requires lodash
+ */
@@ -0,0 +1,4 @@
+/**
+ * Where the application keeps its state.
+ * @module store
+ */
@@ -0,0 +1,45 @@
+/**
+ * Where the shapes are drawn.
+ * @module canvas
+ * @requires shapes
+ */
+
+/**
+ * Draw shapes.
+ * @namespace
+ */
+const painter = {
+  /**
+   * Draw a shape.
+   * @param {module:shapes~Shape} shape The shape.
+   * @fires module:canvas~event:drawn
+   */
+  draw(shape) {}
+};
+
+/**
+ * A shape was drawn.
+ * @event module:canvas~event:drawn
+ * @type {object}
+ * @property {string} name The name of the shape.
+ */
+
+/**
+ * Things painters can do.
+ * @mixin
+ */
+const Brushes = {
+  /**
+   * Pick a brush.
+   * @param {string} kind The kind of brush.
+   */
+  pick(kind) {}
+};
+
+/**
+ * Something that can be drawn.
+ * @interface
+ */
+function Drawable() {}
+
+module.exports = {Brushes, Drawable, painter};
@@ -0,0 +1,49 @@
+/**
+ * Shapes to draw.
+ * @module shapes
+ */
+
+/**
+ * A shape.
+ * @class
+ * @param {string} name The name of the shape.
+ */
+function Shape(name) {
+  /**
+   * The name of the shape.
+   * @type {string}
+   */
+  this.name = name;
+}
+
+/**
+ * The area of the shape.
+ * @return {number} The area.
+ */
+Shape.prototype.area = function() {
+  return 0;
+};
+
+/**
+ * A circle.
+ * @class
+ * @extends module:shapes~Shape
+ * @param {number} radius The radius.
+ */
+function Circle(radius) {
+  Shape.call(this, 'circle');
+  this.radius = radius;
+}
+
+/**
+ * A square.
+ * @class
+ * @extends module:shapes~Shape
+ * @param {number} side The length of a side.
+ */
+function Square(side) {
+  Shape.call(this, 'square');
+  this.side = side;
+}
+
+module.exports = {Circle, Shape, Square};
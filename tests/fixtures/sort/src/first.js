@@ -0,0 +1,17 @@
+/**
+ * The last one by name.
+ * @since 1.10.0
+ */
+function zeta() {}
+
+/**
+ * A constant, listed before the functions by kind.
+ * @constant
+ */
+var Beta = 1;
+
+/**
+ * The first one by name.
+ * @since 1.2.0
+ */
+function alpha() {}
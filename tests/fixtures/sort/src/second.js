@@ -0,0 +1,10 @@
+/**
+ * Without a version.
+ */
+function gamma() {}
+
+/**
+ * A pre-release, before its release.
+ * @since 1.2.0-beta.1
+ */
+function delta() {}
@@ -0,0 +1,34 @@
+const assert = require('assert').strict;
+const path = require('path');
+const testBuild = require('./build');
+
+const TYPO = 'app.js:1: unresolved requires module:stroe in module:app';
+const EXTERNAL = 'unresolved requires module:lodash';
+
+let result = build({});
+assert.equal(result.status, 0, result.output);
+assert.ok(result.output.indexOf('WARNING: [powerMode:publish] ' + TYPO) > -1, result.output);
+assert.ok(result.output.indexOf(EXTERNAL) > -1, result.output);
+assert.equal(result.output.indexOf('unresolved requires module:store '), -1, result.output);
+console.log('ok links warn by default');
+
+result = build({links: {ignore: ['module:lodash*']}});
+assert.equal(result.status, 0, result.output);
+assert.ok(result.output.indexOf(TYPO) > -1, result.output);
+assert.equal(result.output.indexOf(EXTERNAL), -1, result.output);
+console.log('ok links ignore');
+
+result = build({links: {ignore: ['module:lodash'], strict: true}});
+assert.notEqual(result.status, 0, 'the build fails on an unresolved link');
+assert.ok(result.output.indexOf('ERROR: [powerMode:publish] ' + TYPO) > -1, result.output);
+console.log('ok links strict');
+
+result = build({links: {check: false}});
+assert.equal(result.status, 0, result.output);
+assert.equal(result.output.indexOf('unresolved'), -1, result.output);
+console.log('ok links off');
+
+function build(powerMode) {
+  testBuild.remove(path.join(__dirname, 'generated-files', 'links'));
+  return testBuild.build('template-links.conf.json', {powerMode});
+}
@@ -0,0 +1,39 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const testBuild = require('./build');
+
+const PARALLEL = path.join(__dirname, 'generated-files', 'parallel');
+const SERIAL = path.join(__dirname, 'generated-files', 'parallel-serial');
+
+let parallel = build(PARALLEL, {}, {debug: true});
+assert.ok(/Rendering \d+ page\(s\) in 2 worker\(s\)/.test(parallel.output), 'the pages are rendered by the workers');
+assert.equal(parallel.output.indexOf('Rendering the pages serially'), -1, parallel.output);
+
+build(SERIAL, {parallel: false}, {});
+
+let files = list(PARALLEL);
+assert.deepEqual(files, list(SERIAL), 'the same files are written');
+assert.ok(files.filter(file => path.extname(file) === '.html').length > 5, 'enough pages for both workers');
+
+files.forEach(file => assert.ok(fs.readFileSync(path.join(PARALLEL, file)).equals(fs.readFileSync(path.join(SERIAL, file))), file + ' is the same'));
+console.log('ok parallel %d file(s) identical to a serial build', files.length);
+
+function build(destination, powerMode, opts) {
+  testBuild.remove(destination);
+
+  let result = testBuild.build('template-parallel.conf.json', {powerMode, opts: Object.assign({destination}, opts)});
+  assert.equal(result.status, 0, result.output);
+  return result;
+}
+
+// every file under `directory`, relative to it
+function list(directory, prefix) {
+  return fs.readdirSync(directory).sort().reduce((files, file) => {
+    let relative = prefix ? path.join(prefix, file) : file;
+
+    return fs.statSync(path.join(directory, file)).isDirectory()
+      ? files.concat(list(path.join(directory, file), relative))
+      : files.concat(relative);
+  }, []);
+}
@@ -0,0 +1,27 @@
+const assert = require('assert').strict;
+const testBuild = require('./build');
+
+// the order of the global symbols for every strategy, as written to the JSON model
+const EXPECTED = {
+  longname: ['Beta', 'alpha', 'delta', 'gamma', 'zeta'],
+  none: ['zeta', 'Beta', 'alpha', 'gamma', 'delta'],
+  alphabetical: ['alpha', 'Beta', 'delta', 'gamma', 'zeta'],
+  source: ['zeta', 'Beta', 'alpha', 'gamma', 'delta'],
+  kind: ['Beta', 'alpha', 'delta', 'gamma', 'zeta'],
+  since: ['Beta', 'gamma', 'delta', 'alpha', 'zeta']
+};
+
+Object.keys(EXPECTED).forEach(strategy => {
+  assert.deepEqual(names({sort: strategy}), EXPECTED[strategy], strategy);
+  console.log('ok sort %s', strategy);
+});
+
+assert.deepEqual(names({sort: {comparator: './tests/fixtures/sort/comparator.js'}}), ['zeta', 'gamma', 'delta', 'Beta', 'alpha'], 'comparator');
+console.log('ok sort comparator');
+
+function names(powerMode) {
+  let result = testBuild.build('template-sort.conf.json', {powerMode});
+
+  assert.equal(result.status, 0, result.output);
+  return testBuild.readJson(result.destination, 'api.json').doclets.map(doclet => doclet.name);
+}